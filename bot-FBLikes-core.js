@@ -0,0 +1,2956 @@
+javascript:
+
+'use strict';
+
+/*
+ * MIT License
+ *
+ * Copyright (c) 2021 gh0$t
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/*
+ * Shared engine behind the bot-FBLikes-v1.js, bot-FBLikes-v2.js and heart-react.js presets
+ * Installs window.FBLikesCore; the presets call FBLikesCore.run(options) with their own settings
+ */
+
+(() => {
+    /*
+     * Loading the core again would start a second engine the existing API and panel cannot reach,
+     * so a page keeps the first instance
+     */
+    if (window.FBLikesCore) {
+        console.log('[FBLikes] Core already loaded');
+        return;
+    }
+
+    /*
+     * Reactions offered by the Facebook reaction picker, in picker order
+     * Picker options and the Remove/Change reaction buttons are labelled with these names
+     */
+    const REACTIONS = ['Like', 'Love', 'Care', 'Haha', 'Wow', 'Sad', 'Angry'];
+
+    /*
+     * Default configuration for selectors and timing
+     * MODE: 'album' polls the photo viewer with the selectors below (v1/v2),
+     *       'viewer' locates the reaction buttons of photos and reels by position (heart-react),
+     *       'feed' scrolls through a profile or page timeline, or a group feed, post by post
+     * REACTION: Reaction to apply, one of REACTIONS
+     * CHANGE_EXISTING: Replace a different existing reaction instead of skipping the item (viewer mode)
+     * DRY_RUN: Move through the items and classify each one without ever reacting; the ledger and the
+     *     rate limits are left alone and the run ends with a table of what a real run would have done
+     * UNDO: Remove reactions instead of adding them (album and viewer modes); by default only the ones the
+     *     ledger shows the bot applied
+     * UNDO_REACTION: Only remove this reaction, one of REACTIONS (null removes any)
+     * UNDO_FROM/UNDO_TO: Only remove reactions the ledger shows were applied in this range, as a Date,
+     *     a timestamp or a date string (null leaves the range open); a date alone is a local day, UNDO_TO
+     *     includes all of it
+     * UNDO_ALL: Also remove reactions the ledger has no record of, made by hand or with the ledger off
+     *     (ignored when UNDO_FROM/UNDO_TO is set)
+     * LEDGER_ENABLED: Record every handled item in the persistent ledger
+     * SKIP_HANDLED: Skip items the ledger shows as handled by an earlier run (not in a dry run, which
+     *     classifies every item)
+     * LEDGER_MAX_ENTRIES: Beyond this many entries the oldest 250 are dropped, to stay well within the localStorage
+     *     quota Facebook's own scripts share (0 keeps all)
+     * PANEL_ENABLED: Show the on-page control panel
+     * RATE_LIMIT_PER_MINUTE/RATE_LIMIT_PER_HOUR/RATE_LIMIT_PER_DAY: Max reactions in the last minute/hour/24 hours,
+     *       counted across page loads; the run stops once one is reached (0 disables the cap)
+     * MAX_FAILED_REACTIONS: Reactions in a row that may fail to stick before the run halts (0 disables)
+     * REACTION_CONFIRM_WAIT: How long the Remove <reaction> button may take to show up after reacting (album and feed modes)
+     * BLOCK_DIALOG_PATTERN: Text of the Facebook dialogs that halt the run, in the supported UI languages;
+     *     matched against the heading and opening text of dialogs other than the photo viewer
+     * LABELS: Extra or corrected aria-labels per UI language, merged over the built-in dictionary (see LABELS)
+     * LOCATOR_TIMEOUT: How long the reaction buttons of an item may stay unlocatable before the run stops
+     *     (a dry run records the item as unknown and moves on)
+     * END_OF_ALBUM_WAIT: How long Next may stay missing, disabled or without effect before the album counts as done
+     * STOP_AFTER_REACTIONS: Stop once this many reactions were applied (0 disables)
+     * STOP_AFTER_MINUTES: Stop once the run has lasted this many minutes (0 disables)
+     * STOP_AFTER_ALREADY_REACTED: Stop after this many already reacted items in a row (0 disables)
+     * STOP_AT_ID: Stop when the photo or reel with this id is reached, before handling it (null disables)
+     * ONLY_ALBUM_OWNER: Only react to items posted by ALBUM_OWNER
+     * ALBUM_OWNER: Name or profile link of the album owner; empty takes the author of the run's first item
+     * CAPTION_INCLUDE: Only react when the caption contains one of these keywords or matches one of
+     *     these regular expressions (a string, a RegExp or an array of them; null disables)
+     * CAPTION_EXCLUDE: Skip items whose caption contains one of these keywords or matches one of these
+     *     regular expressions (same forms as CAPTION_INCLUDE)
+     * DATE_FROM/DATE_TO: Only react to items posted in this range, as a Date, a timestamp or a date string
+     *     (null leaves the range open); a date alone is a local day, DATE_TO includes all of it; items whose
+     *     date cannot be read are skipped
+     * SKIP_VIDEOS: Skip videos and reels met while going through a photo album
+     * MAX_REACTION_COUNT: Skip items that already have more than this many reactions (0 disables)
+     * FEED_MAX_POSTS: Stop after looking at this many posts (feed mode, 0 disables)
+     * FEED_END_WAIT: How long scrolling may bring no new posts before the feed counts as done (feed mode)
+     * LIKE_BUTTON_SELECTOR: Targets the Like button
+     * REMOVE_REACTION_SELECTOR: Targets the Remove <reaction> buttons
+     * NEXT_BUTTON_SELECTOR: Targets the Next photo button
+     * REACTION_CONTAINER_SELECTOR: Targets the container with reaction buttons
+     * POST_SELECTOR: Targets the posts of a feed; the outermost matches are the posts, the ones nested
+     *     in them (comments, shared posts) belong to them
+     * AUTHOR_SELECTOR/CAPTION_SELECTOR/TIMESTAMP_SELECTOR/REACTION_COUNT_SELECTOR: Targets the item's author
+     *     link, caption, timestamp and reaction count, read by the content filters
+     * POLL_INTERVAL: Interval for polling buttons in milliseconds (set low for speed)
+     * CYCLE_DELAY: Delay after moving to the next photo before polling again (album mode)
+     * retryPerItem: Attempts at applying the reaction to a single item (viewer mode)
+     * longPressMs: How long the reaction button is held down to open the picker
+     * pickerWait: How long to wait for the picker option to appear
+     * postReactWait: Delay before checking that the reaction was applied (viewer mode)
+     * nextWait: Delay after clicking Next (viewer mode)
+     * loopDelay: Delay between two items (viewer and feed modes)
+     * scrollWait: Delay after scrolling, for posts to load and render their buttons (feed mode)
+     */
+    const DEFAULT_CONFIG = {
+        MODE: 'album',
+        REACTION: 'Like',
+        CHANGE_EXISTING: false,
+        DRY_RUN: false,
+        UNDO: false,
+        UNDO_REACTION: null,
+        UNDO_FROM: null,
+        UNDO_TO: null,
+        UNDO_ALL: false,
+        LEDGER_ENABLED: true,
+        SKIP_HANDLED: true,
+        LEDGER_MAX_ENTRIES: 5000,
+        PANEL_ENABLED: true,
+        RATE_LIMIT_PER_MINUTE: 20,
+        RATE_LIMIT_PER_HOUR: 300,
+        RATE_LIMIT_PER_DAY: 1000,
+        MAX_FAILED_REACTIONS: 3,
+        REACTION_CONFIRM_WAIT: 3000,
+        LABELS: {},
+        LOCATOR_TIMEOUT: 15000,
+        END_OF_ALBUM_WAIT: 5000,
+        STOP_AFTER_REACTIONS: 0,
+        STOP_AFTER_MINUTES: 0,
+        STOP_AFTER_ALREADY_REACTED: 0,
+        STOP_AT_ID: null,
+        ONLY_ALBUM_OWNER: false,
+        ALBUM_OWNER: '',
+        CAPTION_INCLUDE: null,
+        CAPTION_EXCLUDE: null,
+        DATE_FROM: null,
+        DATE_TO: null,
+        SKIP_VIDEOS: false,
+        MAX_REACTION_COUNT: 0,
+        FEED_MAX_POSTS: 0,
+        FEED_END_WAIT: 10000,
+        BLOCK_DIALOG_PATTERN: /temporarily blocked|can't use this feature|cannot use this feature|going too fast|misusing this feature|try again later|account (is|has been) restricted|bloqueado temporalmente|temporairement bloqué|vorübergehend blockiert|temporariamente bloquead|temporaneamente bloccat/i,
+        LOG_ENABLED: false,
+        LIKE_BUTTON_SELECTOR: '[aria-label="Like"][class*="x1i10hfl x1qjc9v5"]',
+        REMOVE_REACTION_SELECTOR: REACTIONS.map((reaction) => `[aria-label="Remove ${reaction}"][class*="x1i10hfl x1qjc9v5"]`).join(','),
+        NEXT_BUTTON_SELECTOR: '[aria-label^="Next"]',
+        REACTION_CONTAINER_SELECTOR: '.x1q0g3np.xjkvuk6',
+        POST_SELECTOR: '[role="article"]',
+        AUTHOR_SELECTOR: 'h2 a[role="link"], h2 strong, h3 a[role="link"]',
+        CAPTION_SELECTOR: '[data-ad-preview="message"], [data-ad-comet-preview="message"]',
+        TIMESTAMP_SELECTOR: 'abbr[data-utime], time[datetime], a[role="link"][href*="/photo"] span[id]',
+        REACTION_COUNT_SELECTOR: '[aria-label="See who reacted to this"] + div span, [aria-label="See who reacted to this"] + span',
+        POLL_INTERVAL: 0,
+        CYCLE_DELAY: 0,
+        retryPerItem: 5,
+        longPressMs: 600,
+        pickerWait: 700,
+        postReactWait: 300,
+        nextWait: 380,
+        loopDelay: 60,
+        scrollWait: 1200
+    };
+
+    /*
+     * Configuration of the current run, DEFAULT_CONFIG merged with the options passed to run()
+     */
+    let CONFIG = { ...DEFAULT_CONFIG };
+
+    /*
+     * Run tracking variables
+     * status: 'idle', 'running', 'paused' or 'stopped'
+     * runGeneration: Incremented by every run, so callbacks of a stopped run can tell they are stale
+     * operationCount: Tracks total operations
+     * reactedCount: Tracks successful reactions
+     * removedCount: Tracks reactions removed by an undo run
+     * skippedCount: Tracks items skipped (handled by an earlier run or not reactable)
+     * alreadyReactedCount: Tracks items that already had a reaction
+     * errorCount: Tracks items the reaction could not be applied to
+     * nextCount: Tracks successful next button clicks
+     * currentLabel: Describes the item being handled
+     * stopReason: Why the last run stopped
+     * startedAt: When the last run started
+     * visitedIds: Ids of the items seen by the run, to notice when the album wraps around
+     * alreadyReactedStreak: Already reacted items in a row
+     * dryRunRows: What a dry run found on each item, printed as a table when it ends
+     * maxPollLog: Limits polling log spam
+     */
+    let status = 'idle';
+    let runGeneration = 0;
+    let operationCount = 0;
+    let reactedCount = 0;
+    let removedCount = 0;
+    let skippedCount = 0;
+    let alreadyReactedCount = 0;
+    let errorCount = 0;
+    let nextCount = 0;
+    let currentLabel = '';
+    let stopReason = '';
+    let startedAt = 0;
+    let visitedIds = new Set();
+    let alreadyReactedStreak = 0;
+    let dryRunRows = [];
+    const maxPollLog = 10;
+
+    /*
+     * Logging utility with timestamp and operation details
+     * Formats logs with blue color and bold text
+     * Includes operation counts and performance timestamp
+     */
+    const log = (message, data = {}) => {
+        if (!CONFIG.LOG_ENABLED) return;
+        console.log(
+            `%c[FBLikes ${new Date().toISOString()}] ${message}`,
+            'color: #2196F3; font-weight: bold;',
+            { ...logContext(), ...data }
+        );
+    };
+
+    /*
+     * Operation details attached to every log line and event
+     */
+    const logContext = () => ({
+        reaction: CONFIG.REACTION,
+        operation: operationCount,
+        reacted: reactedCount,
+        next: nextCount,
+        timestamp: performance.now().toFixed(2) + 'ms'
+    });
+
+    /*
+     * Lifecycle events, dispatched on document as CustomEvents named 'fblikes:<event>'
+     * event.detail carries the log() operation details plus:
+     * - item-seen: item ({ kind, id, album, url }) when a new photo, reel or post is reached
+     * - reacted: item, outcome ('reacted', 'removed', 'would-react' or 'would-remove'), reaction
+     * - skipped: item, outcome, reaction, reason
+     * - navigated: via ('next' or 'scroll'), from (the item moved away from)
+     * - error: error message, plus item and outcome 'failed' when a reaction did not stick
+     * - finished: reason, summary (see runSummary), and results for a dry run
+     * Every detail also carries generation, the run it belongs to; events of a run that is over are dropped,
+     * so nothing follows its 'finished' event
+     */
+    const EVENTS = ['item-seen', 'reacted', 'skipped', 'navigated', 'error', 'finished'];
+    const emit = (event, data = {}, generation = runGeneration) => {
+        if (event !== 'finished' && !isCurrentRun(generation)) return;
+        document.dispatchEvent(new CustomEvent(`fblikes:${event}`, { detail: { ...logContext(), generation, ...data } }));
+    };
+
+    /*
+     * ----- Run control -----
+     * Both loops check in here between steps, so pause/resume/stop take effect at the next step
+     */
+
+    /*
+     * Callbacks waiting for a paused run to resume or stop
+     */
+    let resumeWaiters = [];
+    const releaseWaiters = () => {
+        resumeWaiters.forEach((resolve) => resolve());
+        resumeWaiters = [];
+    };
+
+    /*
+     * Resolves immediately unless the run is paused, then once it is resumed or stopped
+     */
+    const whenResumed = () => {
+        if (status !== 'paused') return Promise.resolve();
+        return new Promise((resolve) => resumeWaiters.push(resolve));
+    };
+
+    /*
+     * Checks if a loop started for generation may keep going
+     */
+    const isCurrentRun = (generation) => generation === runGeneration && (status === 'running' || status === 'paused');
+
+    /*
+     * Mode of the run with its variants, e.g. 'album, dry run'
+     */
+    const modeLabel = () => [CONFIG.MODE, CONFIG.DRY_RUN && 'dry run', CONFIG.UNDO && 'undo'].filter(Boolean).join(', ');
+
+    /*
+     * Snapshot of the counters shown on the control panel
+     */
+    const progress = () => ({
+        status,
+        mode: modeLabel(),
+        reaction: CONFIG.REACTION,
+        reacted: reactedCount,
+        removed: removedCount,
+        skipped: skippedCount,
+        alreadyReacted: alreadyReactedCount,
+        errors: errorCount,
+        current: currentLabel,
+        stopReason
+    });
+
+    /*
+     * Pushes the latest progress to the control panel, if it is shown
+     */
+    const reportProgress = () => {
+        renderPanel(progress());
+    };
+
+    /*
+     * Pauses the run at its next step
+     */
+    const pause = () => {
+        if (status !== 'running') return false;
+        status = 'paused';
+        log('Run paused');
+        reportProgress();
+        return true;
+    };
+
+    /*
+     * Resumes a paused run
+     */
+    const resume = () => {
+        if (status !== 'paused') return false;
+        status = 'running';
+        log('Run resumed');
+        releaseWaiters();
+        reportProgress();
+        return true;
+    };
+
+    /*
+     * Stops the run at its next step, a paused run stops right away
+     */
+    const stop = (reason = 'Stopped by user') => {
+        if (status !== 'running' && status !== 'paused') return false;
+        endRun(reason);
+        return true;
+    };
+
+    /*
+     * Ends a run that stopped by itself, unless a newer run took over
+     */
+    const finishRun = (generation, reason) => {
+        if (!isCurrentRun(generation)) return;
+        endRun(reason);
+    };
+
+    /*
+     * Summary of the run printed when it ends
+     */
+    const runSummary = () => ({
+        reason: stopReason,
+        mode: CONFIG.MODE,
+        dryRun: CONFIG.DRY_RUN,
+        undo: CONFIG.UNDO,
+        reaction: CONFIG.REACTION,
+        reacted: reactedCount,
+        removed: removedCount,
+        skipped: skippedCount,
+        alreadyReacted: alreadyReactedCount,
+        errors: errorCount,
+        lastItem: currentLabel,
+        minutes: Number(((Date.now() - startedAt) / 60000).toFixed(1))
+    });
+
+    /*
+     * Counts the dry run rows by outcome
+     */
+    const dryRunTotals = () => {
+        const totals = {};
+        dryRunRows.forEach(({ outcome }) => {
+            totals[outcome] = (totals[outcome] || 0) + 1;
+        });
+        return totals;
+    };
+
+    /*
+     * Marks the run as stopped and prints its summary, whether logging is enabled or not
+     * A dry run also prints what it found on each item
+     */
+    const endRun = (reason) => {
+        status = 'stopped';
+        stopReason = reason;
+        releaseWaiters();
+        reportProgress();
+        console.log(`%c[FBLikes] Run ended: ${reason}`, 'color: #2196F3; font-weight: bold;', runSummary());
+        if (CONFIG.DRY_RUN) {
+            console.log('%c[FBLikes] Dry run results', 'color: #2196F3; font-weight: bold;', dryRunTotals());
+            console.table(dryRunRows);
+        }
+        emit('finished', { reason, summary: runSummary(), ...(CONFIG.DRY_RUN && { results: [...dryRunRows] }) });
+    };
+
+    /*
+     * Stops the run for a safety reason, always reported in the console
+     */
+    const halt = (reason) => {
+        console.warn(`[FBLikes] Halted: ${reason}`);
+        return stop(reason);
+    };
+
+    /*
+     * Short description of an item, e.g. 'photo 123'
+     */
+    const itemLabel = (item) => (item.id ? `${item.kind} ${item.id}` : item.url);
+
+    /*
+     * Marks the item being handled, root is the feed post it sits in
+     */
+    const startItem = (item, root = document) => {
+        currentLabel = itemLabel(item);
+        if (item.id) visitedIds.add(item.id);
+        noteFirstItem(item, root);
+        reportProgress();
+        emit('item-seen', { item });
+    };
+
+    /*
+     * Why an item was skipped, for the skipped event
+     */
+    const SKIP_REASONS = {
+        'skipped': 'Handled by an earlier run',
+        'already-reacted': 'Already reacted',
+        'not-reactable': 'Not reactable',
+        'not-reacted': 'Not reacted, nothing to remove',
+        'unknown': 'Reaction buttons could not be read'
+    };
+
+    /*
+     * Counts the outcome of an item and records it in the ledger, or in the dry run table
+     * outcome: 'reacted', 'already-reacted', 'not-reactable', 'failed',
+     *          'skipped' for items handled by an earlier run (not recorded again),
+     *          'filtered' for items ruled out by a content filter (rule says which, not recorded),
+     *          'would-react' (dry run, counted as reacted) or 'unknown' (dry run, or a feed post whose
+     *          buttons could not be located)
+     *          Undo runs: 'removed', 'would-remove' (dry run, counted as removed), 'not-reacted' (nothing
+     *          to remove, not recorded), 'failed', and 'filtered' for reactions that are kept
+     */
+    const finishItem = (item, outcome, reaction, rule = '') => {
+        alreadyReactedStreak = outcome === 'already-reacted' ? alreadyReactedStreak + 1 : 0;
+        if (outcome === 'reacted' || outcome === 'would-react') {
+            reactedCount++;
+            consecutiveFailures = 0;
+            if (outcome === 'reacted') recordReactionTime();
+        } else if (outcome === 'removed' || outcome === 'would-remove') {
+            removedCount++;
+            consecutiveFailures = 0;
+            if (outcome === 'removed') recordReactionTime();
+        } else if (outcome === 'already-reacted') {
+            alreadyReactedCount++;
+        } else if (outcome === 'failed') {
+            errorCount++;
+            consecutiveFailures++;
+        } else {
+            skippedCount++;
+        }
+        if (outcome === 'filtered') {
+            console.log(`[FBLikes] Skipped ${itemLabel(item)}: ${rule}`);
+        }
+        if (['reacted', 'removed', 'would-react', 'would-remove'].includes(outcome)) {
+            emit('reacted', { item, outcome, reaction });
+        } else if (outcome === 'failed') {
+            emit('error', { item, outcome, reaction, error: `${reaction || CONFIG.REACTION} on ${itemLabel(item)} did not stick` });
+        } else {
+            emit('skipped', { item, outcome, reaction, reason: rule || SKIP_REASONS[outcome] || outcome });
+        }
+        if (CONFIG.DRY_RUN) {
+            dryRunRows.push({ item: itemLabel(item), outcome, reaction: reaction || '', rule, url: item.url });
+        } else if (!['skipped', 'filtered', 'not-reacted'].includes(outcome)) {
+            recordItem(item, outcome, reaction);
+        }
+        reportProgress();
+    };
+
+    /*
+     * Small DOM and timing helpers
+     * sleep: Resolves after ms milliseconds
+     * queryAll: querySelectorAll as an array
+     * labelOf: aria-label of an element, falling back to its text
+     * centerX/centerY: Center of an element's bounding box
+     */
+    const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+    const queryAll = (selector, root = document) => [...root.querySelectorAll(selector)];
+    const labelOf = (element) => (element?.getAttribute?.('aria-label') || element?.textContent || '').trim();
+    const centerX = (element) => {
+        const rect = element.getBoundingClientRect();
+        return (rect.left + rect.right) / 2;
+    };
+    const centerY = (element) => {
+        const rect = element.getBoundingClientRect();
+        return (rect.top + rect.bottom) / 2;
+    };
+
+    /*
+     * Checks if an element is clickable
+     * Returns true if element exists, is visible, and not disabled (natively or through aria-disabled)
+     */
+    const isElementClickable = (element) => {
+        return element && element.offsetParent !== null && !element.disabled && element.getAttribute('aria-disabled') !== 'true';
+    };
+
+    /*
+     * Checks if an element is rendered on screen
+     * Stricter than isElementClickable: also rejects hidden, zero-sized and scrolled-away elements
+     */
+    const isVisible = (element) => {
+        if (!element) return false;
+        const style = getComputedStyle(element);
+        const rect = element.getBoundingClientRect();
+        return style.display !== 'none' &&
+            style.visibility !== 'hidden' &&
+            rect.width > 0 &&
+            rect.height > 0 &&
+            rect.bottom > 0 &&
+            rect.right > 0;
+    };
+
+    /*
+     * Dispatches a mouse/pointer event at the center of an element
+     */
+    const fire = (element, type) => {
+        if (!element) return;
+        const rect = element.getBoundingClientRect();
+        element.dispatchEvent(new MouseEvent(type, {
+            bubbles: true,
+            cancelable: true,
+            view: window,
+            clientX: rect.left + rect.width / 2,
+            clientY: rect.top + rect.height / 2,
+            buttons: 1,
+            button: 0
+        }));
+    };
+
+    /*
+     * Calls check every interval milliseconds until it returns something truthy
+     * Resolves with that value, or with null once timeout milliseconds have passed
+     */
+    const waitFor = async (check, timeout = 700, interval = 40) => {
+        const start = Date.now();
+        while (Date.now() - start < timeout) {
+            const result = check();
+            if (result) return result;
+            await sleep(interval);
+        }
+        return null;
+    };
+
+    /*
+     * Visible buttons on the page, cached for the current millisecond
+     * Scanning every [aria-label] is expensive, so the lookup is shared by all checks of one pass
+     */
+    let cachedButtons = null;
+    let cachedAt = -1;
+    const visibleButtons = () => {
+        const now = performance.now() | 0;
+        if (now === cachedAt && cachedButtons) return cachedButtons;
+        cachedAt = now;
+        cachedButtons = queryAll('div[role="button"],button,[role="button"],a,[aria-label]').filter(isVisible);
+        return cachedButtons;
+    };
+    const resetButtons = () => {
+        cachedButtons = null;
+        cachedAt = -1;
+    };
+
+    /*
+     * Holds the mouse down on an element long enough to open the reaction picker
+     */
+    const longPress = async (element) => {
+        fire(element, 'pointerover');
+        fire(element, 'pointerenter');
+        fire(element, 'mouseover');
+        fire(element, 'mouseenter');
+        await sleep(50);
+        fire(element, 'pointerdown');
+        fire(element, 'mousedown');
+        await sleep(CONFIG.longPressMs);
+        fire(element, 'pointerup');
+        fire(element, 'mouseup');
+        resetButtons();
+    };
+
+    /*
+     * Finds the picker option for a reaction closest to an anchor point
+     * Parameters:
+     * - reaction: Name of the reaction, as in REACTIONS
+     * - anchorY/anchorX: Where the reaction button is, options nearest to it win
+     * - xWeight: How much horizontal distance counts compared to vertical distance
+     * - maxTop: Options starting below this offset are ignored
+     */
+    const findPickerOption = (reaction, anchorY, anchorX, xWeight, maxTop = Infinity) => {
+        return visibleButtons()
+            .filter((element) => {
+                const parsed = parseLabel(labelOf(element));
+                return parsed?.kind === 'reaction' && parsed.reaction === reaction && element.getBoundingClientRect().top < maxTop;
+            })
+            .map((element) => ({
+                element,
+                distance: Math.abs(centerY(element) - anchorY) + Math.abs(centerX(element) - anchorX) * xWeight
+            }))
+            .sort((a, b) => a.distance - b.distance)[0]?.element || null;
+    };
+
+    /*
+     * Checks if a plain click on a button would apply Like: a Like button that is not pressed
+     */
+    const clickLikes = (element) => {
+        const parsed = parseLabel(labelOf(element));
+        if (parsed) return parsed.kind === 'reaction' && parsed.reaction === 'Like' && element.getAttribute('aria-pressed') !== 'true';
+        return element.matches(CONFIG.LIKE_BUTTON_SELECTOR) || element.getAttribute('aria-pressed') === 'false';
+    };
+
+    /*
+     * Opens the reaction picker on a trigger button and selects a reaction
+     * Falls back to a plain click on the trigger if a long press does not open the picker, unless that click
+     * would apply Like instead of the wanted reaction
+     * Options are found by label, or by their place in the picker when the labels are unknown
+     * Resolves true once the option was clicked, false without clicking once the run that opened it is over
+     */
+    const pickReaction = async (trigger, reaction, { anchorY, anchorX, xWeight = 0.35, maxTop = Infinity, generation = runGeneration } = {}) => {
+        const y = anchorY ?? centerY(trigger);
+        const x = anchorX ?? centerX(trigger);
+        const findOption = () => {
+            resetButtons();
+            return findPickerOption(reaction, y, x, xWeight, maxTop) || pickerOptionByPosition(reaction, y);
+        };
+
+        await longPress(trigger);
+        let option = await waitFor(findOption, CONFIG.pickerWait);
+        if (!isCurrentRun(generation)) return false;
+        if (!option && reaction !== 'Like' && clickLikes(trigger)) {
+            log(`${reaction} option not found in picker, not clicking the Like button instead`);
+            return false;
+        }
+        if (!option) {
+            trigger.click();
+            await sleep(180);
+            option = await waitFor(findOption, CONFIG.pickerWait);
+            if (!isCurrentRun(generation)) return false;
+        }
+        if (!option) {
+            log(`${reaction} option not found in picker`);
+            return false;
+        }
+
+        fire(option, 'pointerover');
+        fire(option, 'mouseover');
+        fire(option, 'mouseenter');
+        await sleep(70);
+        if (!isCurrentRun(generation)) return false;
+        fire(option, 'pointerdown');
+        fire(option, 'mousedown');
+        fire(option, 'pointerup');
+        fire(option, 'mouseup');
+        fire(option, 'click');
+        return true;
+    };
+
+    /*
+     * ----- Labels -----
+     * aria-labels Facebook uses in each UI language, so locators work whatever language the page is in
+     * {reaction} stands for the name of a reaction in the same language
+     * Labels are matched case-insensitively against every language at once; CONFIG.LABELS adds or
+     * corrects entries, e.g. { es: { react: ['Reaccionar'] } } or a whole new language
+     */
+    const LABELS = {
+        en: {
+            reactions: { Like: 'Like', Love: 'Love', Care: 'Care', Haha: 'Haha', Wow: 'Wow', Sad: 'Sad', Angry: 'Angry' },
+            react: ['React'],
+            unlike: ['Unlike'],
+            remove: ['Remove {reaction}', 'Remove {reaction} reaction'],
+            change: ['Change {reaction} reaction'],
+            nextPhoto: ['Next photo'],
+            previousPhoto: ['Previous photo'],
+            nextCard: ['Next card'],
+            previousCard: ['Previous card'],
+            next: ['Next'],
+            share: ['Share'],
+            menu: ['Menu'],
+            comments: ['Comments'],
+            reactionCount: ['See who reacted to this']
+        },
+        es: {
+            reactions: { Like: 'Me gusta', Love: 'Me encanta', Care: 'Me importa', Haha: 'Me divierte', Wow: 'Me asombra', Sad: 'Me entristece', Angry: 'Me enoja' },
+            react: ['Reaccionar'],
+            unlike: ['Ya no me gusta'],
+            remove: ['Quitar {reaction}', 'Eliminar reacción {reaction}'],
+            change: ['Cambiar reacción {reaction}'],
+            nextPhoto: ['Foto siguiente'],
+            previousPhoto: ['Foto anterior'],
+            nextCard: ['Tarjeta siguiente'],
+            previousCard: ['Tarjeta anterior'],
+            next: ['Siguiente'],
+            share: ['Compartir'],
+            menu: ['Menú'],
+            comments: ['Comentarios'],
+            reactionCount: ['Ver quién reaccionó a esto']
+        },
+        fr: {
+            reactions: { Like: 'J\'aime', Love: 'J\'adore', Care: 'Solidaire', Haha: 'Haha', Wow: 'Wouah', Sad: 'Triste', Angry: 'Grrr' },
+            react: ['Réagir'],
+            unlike: ['Je n\'aime plus'],
+            remove: ['Retirer {reaction}', 'Supprimer la réaction {reaction}'],
+            change: ['Modifier la réaction {reaction}'],
+            nextPhoto: ['Photo suivante'],
+            previousPhoto: ['Photo précédente'],
+            nextCard: ['Carte suivante'],
+            previousCard: ['Carte précédente'],
+            next: ['Suivant'],
+            share: ['Partager'],
+            menu: ['Menu'],
+            comments: ['Commentaires'],
+            reactionCount: ['Voir qui a réagi à ceci']
+        },
+        de: {
+            reactions: { Like: 'Gefällt mir', Love: 'Love', Care: 'Umarmung', Haha: 'Haha', Wow: 'Wow', Sad: 'Traurig', Angry: 'Wütend' },
+            react: ['Reagieren'],
+            unlike: ['Gefällt mir nicht mehr'],
+            remove: ['{reaction} entfernen', 'Reaktion {reaction} entfernen'],
+            change: ['Reaktion {reaction} ändern'],
+            nextPhoto: ['Nächstes Foto'],
+            previousPhoto: ['Vorheriges Foto'],
+            nextCard: ['Nächste Karte'],
+            previousCard: ['Vorherige Karte'],
+            next: ['Weiter', 'Nächste'],
+            share: ['Teilen'],
+            menu: ['Menü'],
+            comments: ['Kommentare'],
+            reactionCount: ['Sehen, wer hierauf reagiert hat']
+        },
+        pt: {
+            reactions: { Like: 'Curtir', Love: 'Amei', Care: 'Força', Haha: 'Haha', Wow: 'Uau', Sad: 'Triste', Angry: 'Grr' },
+            react: ['Reagir'],
+            unlike: ['Descurtir'],
+            remove: ['Remover {reaction}', 'Remover reação {reaction}'],
+            change: ['Alterar reação {reaction}'],
+            nextPhoto: ['Próxima foto'],
+            previousPhoto: ['Foto anterior'],
+            nextCard: ['Próximo cartão'],
+            previousCard: ['Cartão anterior'],
+            next: ['Próximo', 'Avançar'],
+            share: ['Compartilhar'],
+            menu: ['Menu'],
+            comments: ['Comentários'],
+            reactionCount: ['Ver quem reagiu a isso']
+        },
+        it: {
+            reactions: { Like: 'Mi piace', Love: 'Love', Care: 'Abbraccio', Haha: 'Ahah', Wow: 'Wow', Sad: 'Sigh', Angry: 'Grrr' },
+            react: ['Reagisci'],
+            unlike: ['Non mi piace più'],
+            remove: ['Rimuovi {reaction}', 'Rimuovi la reazione {reaction}'],
+            change: ['Cambia la reazione {reaction}'],
+            nextPhoto: ['Foto successiva'],
+            previousPhoto: ['Foto precedente'],
+            nextCard: ['Scheda successiva'],
+            previousCard: ['Scheda precedente'],
+            next: ['Avanti', 'Successiva'],
+            share: ['Condividi'],
+            menu: ['Menu'],
+            comments: ['Commenti'],
+            reactionCount: ['Vedi chi ha reagito']
+        }
+    };
+
+    /*
+     * Label kinds matched as a whole label, as opposed to the {reaction} templates
+     */
+    const EXACT_LABEL_KINDS = ['react', 'unlike', 'nextPhoto', 'previousPhoto', 'nextCard', 'previousCard', 'next', 'share', 'menu', 'comments', 'reactionCount'];
+
+    /*
+     * Lower cases a label and straightens typographic apostrophes (J’aime)
+     */
+    const normalizeLabel = (label) => label.trim().toLowerCase().replace(/[‘’]/g, '\'');
+    const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+    /*
+     * Lookup tables built from LABELS and CONFIG.LABELS, rebuilt by every run
+     * reactions: normalized reaction name -> reaction
+     * byKind: label kind -> normalized labels
+     * templates: { kind, pattern } for the Remove/Change labels, the pattern captures the reaction name
+     */
+    let labelIndex = null;
+    const buildLabelIndex = () => {
+        const overrides = CONFIG.LABELS || {};
+        const languages = [...new Set([...Object.keys(LABELS), ...Object.keys(overrides)])].map((language) => {
+            const labels = LABELS[language] || {};
+            const extra = overrides[language] || {};
+            return { ...labels, ...extra, reactions: { ...labels.reactions, ...extra.reactions } };
+        });
+
+        const index = { reactions: new Map(), byKind: new Map(), templates: [] };
+        EXACT_LABEL_KINDS.forEach((kind) => index.byKind.set(kind, []));
+        for (const labels of languages) {
+            Object.entries(labels.reactions).forEach(([reaction, name]) => index.reactions.set(normalizeLabel(name), reaction));
+            EXACT_LABEL_KINDS.forEach((kind) => index.byKind.get(kind).push(...(labels[kind] || []).map(normalizeLabel)));
+            for (const kind of ['remove', 'change']) {
+                for (const template of labels[kind] || []) {
+                    const [before, after = ''] = normalizeLabel(template).split('{reaction}');
+                    index.templates.push({ kind, pattern: new RegExp(`^${escapeRegExp(before)}(.+?)${escapeRegExp(after)}$`) });
+                }
+            }
+        }
+        return index;
+    };
+    const labelTables = () => {
+        if (!labelIndex) labelIndex = buildLabelIndex();
+        return labelIndex;
+    };
+
+    /*
+     * Works out what a label means, in any language of the dictionary
+     * Returns { kind } or { kind, reaction } with kind one of EXACT_LABEL_KINDS, 'reaction' (the name of
+     * a reaction), 'remove' or 'change' (an existing reaction); null when the label is not known
+     */
+    const parseLabel = (label) => {
+        const text = normalizeLabel(label || '');
+        if (!text) return null;
+        const { reactions, byKind, templates } = labelTables();
+        if (reactions.has(text)) return { kind: 'reaction', reaction: reactions.get(text) };
+        const kind = EXACT_LABEL_KINDS.find((candidate) => byKind.get(candidate).includes(text));
+        if (kind) return { kind };
+        for (const { kind: templateKind, pattern } of templates) {
+            const reaction = reactions.get(text.match(pattern)?.[1]);
+            if (reaction) return { kind: templateKind, reaction };
+        }
+        return null;
+    };
+
+    /*
+     * Checks if a label is, or starts with, one of the labels of a kind
+     * Navigation labels often carry a suffix ("Next photo (Right arrow)")
+     */
+    const labelStartsWith = (label, kind) => {
+        const text = normalizeLabel(label || '');
+        return !!text && labelTables().byKind.get(kind).some((known) => text.startsWith(known));
+    };
+
+    /*
+     * ----- Ledger -----
+     * Persistent record of every item the bot handled, kept in localStorage so it survives a refresh
+     * Entries: { timestamp, album, id, kind, reaction, outcome, url }
+     * outcome is 'reacted', 'already-reacted', 'not-reactable' or 'failed'
+     */
+    const LEDGER_STORAGE_KEY = 'FBLikes.ledger';
+    const LEDGER_COLUMNS = ['timestamp', 'album', 'id', 'kind', 'reaction', 'outcome', 'url'];
+
+    /*
+     * The entries are stored in blocks of LEDGER_CHUNK_SIZE under 'FBLikes.ledger.<n>', with the blocks in use
+     * listed under LEDGER_STORAGE_KEY as { first, last }; a new entry only rewrites the last block
+     */
+    const LEDGER_CHUNK_SIZE = 250;
+    const ledgerChunkKey = (index) => `${LEDGER_STORAGE_KEY}.${index}`;
+
+    /*
+     * Ledger entries, loaded from localStorage on first use, oldest first
+     * Kept in memory as well so a failing or disabled localStorage only loses persistence
+     * ledgerChunks: Blocks the entries are stored in, entry 0 starts block first
+     */
+    let ledgerEntries = null;
+    let ledgerChunks = { first: 0, last: 0 };
+    const loadLedger = () => {
+        if (ledgerEntries) return ledgerEntries;
+        ledgerEntries = [];
+        try {
+            const stored = JSON.parse(localStorage.getItem(LEDGER_STORAGE_KEY) || 'null');
+            if (Array.isArray(stored)) {
+                /*
+                 * Saved as one array by an earlier version, split into blocks
+                 */
+                ledgerEntries = stored;
+                rewriteLedger();
+            } else if (stored) {
+                ledgerChunks = { first: stored.first, last: stored.last };
+                const chunks = [];
+                for (let index = stored.first; index <= stored.last; index++) {
+                    chunks.push(JSON.parse(localStorage.getItem(ledgerChunkKey(index)) || '[]'));
+                }
+                ledgerEntries = chunks.flat();
+                if (chunks.slice(0, -1).some((chunk) => chunk.length !== LEDGER_CHUNK_SIZE)) rewriteLedger();
+            }
+        } catch (error) {
+            log('Ledger could not be loaded, starting empty', { error: error.message });
+        }
+        return ledgerEntries;
+    };
+
+    /*
+     * Runs a write to localStorage
+     * A failed write (storage full or disabled) is reported once, until a write works again
+     */
+    let ledgerSaveFailed = false;
+    const writeLedger = (write) => {
+        try {
+            write();
+            ledgerSaveFailed = false;
+        } catch (error) {
+            if (!ledgerSaveFailed) {
+                console.warn(`[FBLikes] Ledger could not be saved, resume and undo will not know about new items: ${error.message}`);
+            }
+            ledgerSaveFailed = true;
+        }
+    };
+    const writeLedgerChunk = (index) => {
+        const start = (index - ledgerChunks.first) * LEDGER_CHUNK_SIZE;
+        localStorage.setItem(ledgerChunkKey(index), JSON.stringify(ledgerEntries.slice(start, start + LEDGER_CHUNK_SIZE)));
+    };
+    const writeLedgerIndex = () => localStorage.setItem(LEDGER_STORAGE_KEY, JSON.stringify(ledgerChunks));
+
+    /*
+     * Stores the whole ledger again from block 0, after a migration, a broken block or a clear
+     */
+    const rewriteLedger = () => writeLedger(() => {
+        const previous = { ...ledgerChunks };
+        ledgerChunks = { first: 0, last: Math.max(0, Math.ceil(ledgerEntries.length / LEDGER_CHUNK_SIZE) - 1) };
+        for (let index = previous.first; index <= previous.last; index++) localStorage.removeItem(ledgerChunkKey(index));
+        for (let index = 0; index <= ledgerChunks.last; index++) writeLedgerChunk(index);
+        writeLedgerIndex();
+    });
+
+    /*
+     * Adds an entry and stores its block
+     * Past CONFIG.LEDGER_MAX_ENTRIES, the oldest block is dropped
+     */
+    const appendLedger = (entry) => {
+        const entries = loadLedger();
+        entries.push(entry);
+        const chunks = { ...ledgerChunks };
+        while (CONFIG.LEDGER_MAX_ENTRIES && entries.length > CONFIG.LEDGER_MAX_ENTRIES && entries.length > LEDGER_CHUNK_SIZE) {
+            entries.splice(0, LEDGER_CHUNK_SIZE);
+            ledgerChunks.first++;
+        }
+        ledgerChunks.last = ledgerChunks.first + Math.floor((entries.length - 1) / LEDGER_CHUNK_SIZE);
+        writeLedger(() => {
+            for (let index = chunks.first; index < ledgerChunks.first; index++) localStorage.removeItem(ledgerChunkKey(index));
+            writeLedgerChunk(ledgerChunks.last);
+            if (ledgerChunks.first !== chunks.first || ledgerChunks.last !== chunks.last) writeLedgerIndex();
+        });
+    };
+
+    /*
+     * Identifies the open item from the URL
+     * Photos: /photo/?fbid=<id>&set=<album> or /<user>/photos/<album>/<id>/
+     * Reels: /reel/<id>/
+     * Videos: /<user>/videos/<id>/ or /watch/?v=<id>
+     * Returns { kind, id, album, url }, id is null when the URL carries none
+     */
+    const currentItem = () => {
+        const url = new URL(location.href);
+        const reel = url.pathname.match(/\/reel\/(\d+)/);
+        if (reel) return { kind: 'reel', id: reel[1], album: null, url: location.href };
+        const video = url.pathname.match(/\/videos\/(\d+)/)?.[1] || (url.pathname.startsWith('/watch') && url.searchParams.get('v'));
+        if (video) return { kind: 'video', id: video, album: url.searchParams.get('set'), url: location.href };
+        const photo = url.pathname.match(/\/photos\/([^/]+)\/(\d+)/);
+        return {
+            kind: 'photo',
+            id: url.searchParams.get('fbid') || photo?.[2] || null,
+            album: url.searchParams.get('set') || photo?.[1] || null,
+            url: location.href
+        };
+    };
+
+    /*
+     * Latest ledger entry of an item, failed and unreadable attempts excluded, or null
+     */
+    const lastLedgerEntry = (item) => {
+        if (!item.id) return null;
+        const entries = loadLedger().filter((entry) => entry.id === item.id && entry.album === item.album &&
+            entry.outcome !== 'failed' && entry.outcome !== 'unknown');
+        return entries[entries.length - 1] || null;
+    };
+
+    /*
+     * Checks if an item was already handled by an earlier run
+     * Items whose reaction an undo run removed count as not handled
+     * A dry run looks at every item, so its table says what the page shows rather than what the ledger remembers
+     */
+    const isHandled = (item) => {
+        if (!CONFIG.SKIP_HANDLED || CONFIG.DRY_RUN) return false;
+        const entry = lastLedgerEntry(item);
+        return !!entry && entry.outcome !== 'removed';
+    };
+
+    /*
+     * Appends an entry for an item to the ledger
+     */
+    const recordItem = (item, outcome, reaction) => {
+        if (!CONFIG.LEDGER_ENABLED) return;
+        appendLedger({
+            timestamp: new Date().toISOString(),
+            album: item.album,
+            id: item.id,
+            kind: item.kind,
+            reaction,
+            outcome,
+            url: item.url
+        });
+    };
+
+    /*
+     * Serializes the ledger as 'json' or 'csv'
+     */
+    const exportLedger = (format = 'json') => {
+        const entries = loadLedger();
+        if (format === 'json') return JSON.stringify(entries, null, 2);
+        if (format !== 'csv') throw new Error(`[FBLikes] Unknown export format "${format}", expected "json" or "csv"`);
+        const cell = (value) => {
+            const text = value === null || value === undefined ? '' : String(value);
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        return [LEDGER_COLUMNS, ...entries.map((entry) => LEDGER_COLUMNS.map((column) => entry[column]))]
+            .map((row) => row.map(cell).join(','))
+            .join('\n');
+    };
+
+    /*
+     * Saves the exported ledger as a file through a temporary download link
+     */
+    const downloadLedger = (format = 'json') => {
+        const blob = new Blob([exportLedger(format)], { type: format === 'csv' ? 'text/csv' : 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `FBLikes-ledger-${new Date().toISOString().slice(0, 10)}.${format}`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        /*
+         * Revoking right away can cancel the download in some browsers
+         */
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    };
+
+    /*
+     * Forgets every ledger entry, so the next run handles all items again
+     */
+    const clearLedger = () => {
+        loadLedger();
+        ledgerEntries = [];
+        rewriteLedger();
+    };
+
+    /*
+     * ----- Safety limits -----
+     * Halts the run before Facebook hands out a reaction ban: reaction caps counted across page loads,
+     * Facebook's block/warning dialogs and reactions that do not stick
+     */
+    const RATE_LIMIT_STORAGE_KEY = 'FBLikes.reactions';
+    const RATE_LIMITS = [
+        ['RATE_LIMIT_PER_MINUTE', 60 * 1000, 'minute'],
+        ['RATE_LIMIT_PER_HOUR', 60 * 60 * 1000, 'hour'],
+        ['RATE_LIMIT_PER_DAY', 24 * 60 * 60 * 1000, '24 hours']
+    ];
+
+    /*
+     * Timestamps of the reactions applied in the last 24 hours, shared by every run, tab and page load
+     * Read from localStorage on every check, so reactions of other tabs count too; merged with the ones
+     * this page recorded, which are all that is left when localStorage fails
+     */
+    let reactionTimes = [];
+    const loadReactionTimes = () => {
+        const oldest = Date.now() - RATE_LIMITS[RATE_LIMITS.length - 1][1];
+        let stored = [];
+        try {
+            stored = JSON.parse(localStorage.getItem(RATE_LIMIT_STORAGE_KEY) || '[]');
+        } catch (error) {
+            log('Reaction history could not be loaded', { error: error.message });
+        }
+        reactionTimes = [...new Set([...stored, ...reactionTimes])].filter((time) => time > oldest).sort((a, b) => a - b);
+        return reactionTimes;
+    };
+
+    /*
+     * Adds a reaction to the history and forgets the ones older than the longest window
+     */
+    const recordReactionTime = () => {
+        reactionTimes = loadReactionTimes();
+        reactionTimes.push(Date.now());
+        try {
+            localStorage.setItem(RATE_LIMIT_STORAGE_KEY, JSON.stringify(reactionTimes));
+        } catch (error) {
+            log('Reaction history could not be saved', { error: error.message });
+        }
+    };
+
+    /*
+     * Returns why the next reaction would exceed a cap, or null
+     */
+    const rateLimitReason = () => {
+        const now = Date.now();
+        const times = loadReactionTimes();
+        for (const [key, windowMs, windowName] of RATE_LIMITS) {
+            const cap = CONFIG[key];
+            if (!cap) continue;
+            const count = times.filter((time) => time > now - windowMs).length;
+            if (count >= cap) return `Rate limit reached: ${count} reactions in the last ${windowName} (${key} is ${cap})`;
+        }
+        return null;
+    };
+
+    /*
+     * Label kinds of the buttons that make a dialog the photo viewer rather than a message
+     */
+    const VIEWER_LABEL_KINDS = ['react', 'unlike', 'remove', 'change', 'nextPhoto', 'previousPhoto', 'nextCard', 'previousCard'];
+
+    /*
+     * Checks if a dialog shows a photo or post (the photo viewer) rather than a message:
+     * it holds posts, comments or a video, or a reaction or navigation button
+     */
+    const isContentDialog = (dialog) => {
+        if (dialog.querySelector(`${CONFIG.POST_SELECTOR},[role="article"],video`)) return true;
+        return queryAll('[aria-label]', dialog).some((element) => VIEWER_LABEL_KINDS.includes(parseLabel(labelOf(element))?.kind));
+    };
+
+    /*
+     * Heading and opening text of a dialog, where Facebook states what the dialog is about
+     */
+    const dialogMessage = (dialog) => {
+        const heading = queryAll('h1,h2,h3,[role="heading"]', dialog).map((element) => element.textContent || '').join(' ');
+        const text = `${heading} ${(dialog.textContent || '').slice(0, 300)}`;
+        return text.replace(/\s+/g, ' ').trim();
+    };
+
+    /*
+     * Returns the text of a visible Facebook block or warning dialog, or null
+     * Alert dialogs and message dialogs count, the photo viewer does not: its captions and comments
+     * can contain the same phrases
+     */
+    const blockDialogText = () => {
+        const dialog = queryAll('[role="dialog"],[role="alertdialog"]')
+            .filter((element) => isVisible(element) && (element.getAttribute('role') === 'alertdialog' || !isContentDialog(element)))
+            .find((element) => CONFIG.BLOCK_DIALOG_PATTERN.test(dialogMessage(element)));
+        return dialog ? dialogMessage(dialog).slice(0, 120) : null;
+    };
+
+    /*
+     * Reactions in a row that were applied but never showed up on the post
+     */
+    let consecutiveFailures = 0;
+
+    /*
+     * Returns why the run has to halt, or null to keep going
+     * A dry run reacts to nothing, so the rate limits do not apply to it
+     */
+    const haltReason = () => {
+        const dialog = blockDialogText();
+        if (dialog) return `Facebook block/warning dialog shown: "${dialog}"`;
+        if (CONFIG.MAX_FAILED_REACTIONS && consecutiveFailures >= CONFIG.MAX_FAILED_REACTIONS) {
+            return `${consecutiveFailures} reactions in a row did not stick, reacting is probably blocked`;
+        }
+        return CONFIG.DRY_RUN ? null : rateLimitReason();
+    };
+
+    /*
+     * ----- Stop conditions -----
+     * When a run is done: the album wrapped around, or one of the user's STOP_* limits was reached
+     */
+
+    /*
+     * Checked when a new item shows up, before anything is done to it
+     * Returns why the run should stop, or null
+     */
+    const arrivalStopReason = (item) => {
+        if (CONFIG.STOP_AT_ID && item.id === String(CONFIG.STOP_AT_ID)) {
+            return `Reached ${item.kind} ${item.id} (STOP_AT_ID)`;
+        }
+        if (item.id && visitedIds.has(item.id)) {
+            return `Album wrapped around to ${item.kind} ${item.id}, every item was visited`;
+        }
+        return limitStopReason();
+    };
+
+    /*
+     * Checked after every item
+     * Returns why the run should stop, or null
+     */
+    const limitStopReason = () => {
+        const changed = CONFIG.UNDO ? removedCount : reactedCount;
+        if (CONFIG.STOP_AFTER_REACTIONS && changed >= CONFIG.STOP_AFTER_REACTIONS) {
+            return `${changed} reactions ${CONFIG.UNDO ? 'removed' : 'applied'} (STOP_AFTER_REACTIONS)`;
+        }
+        if (CONFIG.STOP_AFTER_ALREADY_REACTED && alreadyReactedStreak >= CONFIG.STOP_AFTER_ALREADY_REACTED) {
+            return `${alreadyReactedStreak} already reacted items in a row (STOP_AFTER_ALREADY_REACTED)`;
+        }
+        if (CONFIG.STOP_AFTER_MINUTES && Date.now() - startedAt >= CONFIG.STOP_AFTER_MINUTES * 60000) {
+            return `Ran for ${CONFIG.STOP_AFTER_MINUTES} minutes (STOP_AFTER_MINUTES)`;
+        }
+        return null;
+    };
+
+    /*
+     * Checks if a navigation button is present but switched off
+     */
+    const isDisabled = (element) => !!element && (element.disabled || element.getAttribute('aria-disabled') === 'true');
+
+    /*
+     * ----- Content filters -----
+     * Rules from CONFIG that decide, right before the reaction step, whether an item gets reacted to
+     * Every skip is reported in the console with the rule behind it
+     * The readers look at the whole page (photo viewer, reels) or at one feed post (root)
+     */
+
+    /*
+     * firstItem: The run's first item; a run that starts on a reel is browsing reels, not an album
+     * firstAuthor: Author of firstItem, the album owner unless CONFIG.ALBUM_OWNER says otherwise
+     */
+    let firstItem = null;
+    let firstAuthor = null;
+
+    /*
+     * Whether this run already warned that a reaction count could not be read
+     */
+    let countWarned = false;
+
+    /*
+     * Text of the first visible element matching a selector, '' when there is none
+     */
+    const visibleText = (selector, root = document) => {
+        const element = queryAll(selector, root).find(isVisible);
+        return element ? (element.textContent || '').replace(/\s+/g, ' ').trim() : '';
+    };
+
+    /*
+     * Reduces a profile link to what identifies the profile: '/jane.doe' or '/profile.php?id=123'
+     */
+    const profilePath = (href) => {
+        const url = new URL(href, 'https://www.facebook.com');
+        if (url.pathname === '/profile.php') return `/profile.php?id=${url.searchParams.get('id')}`;
+        return url.pathname.replace(/\/$/, '').toLowerCase();
+    };
+
+    /*
+     * Reads the author of the open item
+     * Returns { name, profile } with profile the path of the author's link, or null
+     */
+    const itemAuthor = (root = document) => {
+        const element = queryAll(CONFIG.AUTHOR_SELECTOR, root).find(isVisible);
+        if (!element) return null;
+        const link = element.closest('a[href]') || element.querySelector('a[href]');
+        return { name: (element.textContent || '').trim(), profile: link ? profilePath(link.href) : '' };
+    };
+
+    /*
+     * Checks if an author is the given owner, by name or profile link
+     */
+    const isOwner = (author, owner) => {
+        if (!author || !owner) return false;
+        if (typeof owner === 'object') return isOwner(author, owner.profile) || isOwner(author, owner.name);
+        const wanted = String(owner).trim();
+        if (author.name.toLowerCase() === wanted.toLowerCase()) return true;
+        return !!author.profile && /^(https?:\/\/|\/)/.test(wanted) && author.profile === profilePath(wanted);
+    };
+
+    /*
+     * Remembers the run's first item and reads its author as the album owner, whatever happens to the item
+     * Called as each item is started; an author not rendered yet is read again by filterSkipReason while
+     * the first item is still open
+     */
+    const noteFirstItem = (item, root = document) => {
+        if (!firstItem) firstItem = item;
+        if (firstAuthor || CONFIG.ALBUM_OWNER || !CONFIG.ONLY_ALBUM_OWNER || itemLabel(item) !== itemLabel(firstItem)) return;
+        firstAuthor = itemAuthor(root);
+        if (firstAuthor) log('Album owner taken from the first item', { owner: firstAuthor });
+    };
+
+    /*
+     * Checks a text against keywords (case-insensitive) and regular expressions
+     */
+    const matchesAny = (text, patterns) => {
+        return [].concat(patterns).some((pattern) => {
+            if (pattern instanceof RegExp) return pattern.test(text);
+            return text.toLowerCase().includes(String(pattern).toLowerCase());
+        });
+    };
+
+    /*
+     * Relative timestamps as shown under posts ("5m", "3 hrs", "2d", "1w", "4y")
+     */
+    const RELATIVE_UNITS = [[/^(mins?|m)$/, 60000], [/^(hrs?|h)$/, 3600000], [/^(days?|d)$/, 86400000], [/^(wks?|w)$/, 604800000], [/^(yrs?|y)$/, 31536000000]];
+
+    /*
+     * Parses a date as shown under posts ("March 3 at 10:00 AM", "3 March 2021"), null when it is not one
+     * Facebook leaves the year out for dates of the current year, those get it added back; a date that
+     * would then lie in the future is from last year
+     */
+    const parsePostDate = (text) => {
+        const date = text.replace(/ at /, ' ');
+        const dayMonth = /^([a-z]+ \d{1,2}|\d{1,2} [a-z]+)\b/i;
+        let parsed;
+        if (/\b\d{4}\b/.test(date)) {
+            parsed = Date.parse(date);
+        } else if (dayMonth.test(date)) {
+            const year = new Date().getFullYear();
+            parsed = Date.parse(date.replace(dayMonth, `$1 ${year}`));
+            if (parsed > Date.now()) parsed = Date.parse(date.replace(dayMonth, `$1 ${year - 1}`));
+        }
+        return Number.isFinite(parsed) ? parsed : null;
+    };
+
+    /*
+     * Reads when the open item was posted, in milliseconds since the epoch, or null
+     */
+    const itemTimestamp = (root = document) => {
+        const element = queryAll(CONFIG.TIMESTAMP_SELECTOR, root).find(isVisible);
+        if (!element) return null;
+        if (element.dataset.utime) return Number(element.dataset.utime) * 1000;
+        const text = (element.getAttribute('datetime') || element.getAttribute('aria-label') || element.textContent || '').trim();
+        const relative = text.match(/^(\d+)\s*([a-z]+)$/i);
+        if (relative) {
+            const unit = RELATIVE_UNITS.find(([pattern]) => pattern.test(relative[2].toLowerCase()));
+            if (unit) return Date.now() - Number(relative[1]) * unit[1];
+        }
+        if (/^yesterday/i.test(text)) return Date.now() - 86400000;
+        return parsePostDate(text);
+    };
+
+    /*
+     * Reads how many reactions the open item has
+     * The count sits next to the reactions summary ("See who reacted to this"), found with
+     * CONFIG.REACTION_COUNT_SELECTOR or by its label in the dictionary
+     * Understands "27", "1,234", "1.2K" and "3M"; returns null when no count is shown
+     */
+    const itemReactionCount = (root = document) => {
+        let text = visibleText(CONFIG.REACTION_COUNT_SELECTOR, root);
+        if (!text) {
+            const summary = queryAll('[aria-label]', root).find((element) => parseLabel(labelOf(element))?.kind === 'reactionCount' && isVisible(element));
+            text = summary ? (summary.nextElementSibling?.textContent || summary.textContent || '').trim() : '';
+        }
+        const match = text.match(/(\d[\d.,]*)\s*([KM])?/i);
+        if (!match) return null;
+        if (!match[2]) return Number(match[1].replace(/[.,]/g, ''));
+        return Math.round(Number(match[1].replace(',', '.')) * (match[2].toUpperCase() === 'K' ? 1000 : 1000000));
+    };
+
+    /*
+     * Checks if the open item is a video or a reel
+     */
+    const isVideoItem = (item, root = document) => item.kind === 'video' || item.kind === 'reel' || queryAll('video', root).some(isVisible);
+
+    /*
+     * Converts DATE_FROM/DATE_TO (or UNDO_FROM/UNDO_TO) to milliseconds, null when unset
+     * A date without a time ('2023-12-31') is a local day, like the post dates; as the end of a range
+     * (endOfDay) it includes that whole day
+     */
+    const dateLimit = (value, endOfDay = false) => {
+        if (value === null || value === undefined || value === '') return null;
+        const day = typeof value === 'string' && value.trim().match(/^(\d{4})-(\d{2})-(\d{2})$/);
+        if (day) {
+            const [year, month, date] = day.slice(1).map(Number);
+            return endOfDay ? new Date(year, month - 1, date + 1).getTime() - 1 : new Date(year, month - 1, date).getTime();
+        }
+        const time = value instanceof Date ? value.getTime() : typeof value === 'number' ? value : Date.parse(value);
+        return Number.isFinite(time) ? time : null;
+    };
+
+    /*
+     * Checks the open item against the content filters
+     * Returns the rule that rules it out, or null when it may be reacted to
+     */
+    const filterSkipReason = (item, root = document) => {
+        if (CONFIG.SKIP_VIDEOS && firstItem?.kind !== 'reel' && isVideoItem(item, root)) {
+            return 'Video or reel (SKIP_VIDEOS)';
+        }
+        if (CONFIG.ONLY_ALBUM_OWNER) {
+            noteFirstItem(item, root);
+            const owner = CONFIG.ALBUM_OWNER || firstAuthor;
+            if (!owner) return 'Album owner unknown, the first item\'s author could not be read (set ALBUM_OWNER)';
+            const author = itemAuthor(root);
+            if (!isOwner(author, owner)) {
+                return `Posted by ${author ? author.name : 'an unknown author'}, not the album owner (ONLY_ALBUM_OWNER)`;
+            }
+        }
+        if (CONFIG.CAPTION_INCLUDE || CONFIG.CAPTION_EXCLUDE) {
+            const caption = visibleText(CONFIG.CAPTION_SELECTOR, root);
+            if (CONFIG.CAPTION_INCLUDE && !matchesAny(caption, CONFIG.CAPTION_INCLUDE)) {
+                return 'Caption does not match (CAPTION_INCLUDE)';
+            }
+            if (CONFIG.CAPTION_EXCLUDE && matchesAny(caption, CONFIG.CAPTION_EXCLUDE)) {
+                return 'Caption matches (CAPTION_EXCLUDE)';
+            }
+        }
+        const from = dateLimit(CONFIG.DATE_FROM);
+        const to = dateLimit(CONFIG.DATE_TO, true);
+        if (from !== null || to !== null) {
+            const posted = itemTimestamp(root);
+            if (posted === null) return 'Post date could not be read (DATE_FROM/DATE_TO)';
+            if (from !== null && posted < from) return `Posted ${new Date(posted).toISOString()}, before DATE_FROM`;
+            if (to !== null && posted > to) return `Posted ${new Date(posted).toISOString()}, after DATE_TO`;
+        }
+        if (CONFIG.MAX_REACTION_COUNT) {
+            const count = itemReactionCount(root);
+            if (count === null) {
+                /*
+                 * Items without reactions show no count, but neither do summaries in a language the dictionary lacks
+                 */
+                log('Reaction count not found, counted as 0 (MAX_REACTION_COUNT)', { item: itemLabel(item) });
+                if (!countWarned) {
+                    countWarned = true;
+                    console.warn(`[FBLikes] Reaction count not found on ${itemLabel(item)}, items without a count are reacted to; ` +
+                        'check REACTION_COUNT_SELECTOR or add the summary label to LABELS (reactionCount) if the count is shown');
+                }
+            }
+            if (count > CONFIG.MAX_REACTION_COUNT) return `${count} reactions already (MAX_REACTION_COUNT)`;
+        }
+        return null;
+    };
+
+    /*
+     * ----- Undo -----
+     * Which reactions an undo run removes, decided from the reaction found and the ledger
+     */
+
+    /*
+     * Latest reaction the bot applied to an item that no undo run removed since, or null
+     * Entries logged after it by later runs (already-reacted, filtered) leave it in place
+     */
+    const botReactionEntry = (item) => {
+        if (!item.id) return null;
+        let found = null;
+        for (const entry of loadLedger()) {
+            if (entry.id !== item.id || entry.album !== item.album) continue;
+            if (entry.outcome === 'reacted') found = entry;
+            if (entry.outcome === 'removed') found = null;
+        }
+        return found;
+    };
+
+    /*
+     * Checks a reaction found on an item against UNDO_REACTION, UNDO_FROM/UNDO_TO and UNDO_ALL
+     * Returns why the reaction is kept, or null when it may be removed
+     */
+    const undoSkipReason = (item, reaction) => {
+        if (CONFIG.UNDO_REACTION && reaction !== CONFIG.UNDO_REACTION) {
+            return `Reacted with ${reaction || 'an unknown reaction'}, not ${CONFIG.UNDO_REACTION} (UNDO_REACTION)`;
+        }
+        const from = dateLimit(CONFIG.UNDO_FROM);
+        const to = dateLimit(CONFIG.UNDO_TO, true);
+        if (CONFIG.UNDO_ALL && from === null && to === null) return null;
+
+        const entry = botReactionEntry(item);
+        if (!entry) return 'The ledger has no reaction by the bot on it';
+        const reactedAt = Date.parse(entry.timestamp);
+        if (from !== null && reactedAt < from) return `Reacted ${entry.timestamp}, before UNDO_FROM`;
+        if (to !== null && reactedAt > to) return `Reacted ${entry.timestamp}, after UNDO_TO`;
+        return null;
+    };
+
+    /*
+     * ----- Locators -----
+     * Every element the bot needs is found through a list of strategies, tried in order:
+     * - selector: The CSS selector from CONFIG, fast but tied to Facebook's generated class names
+     * - label: The label dictionary, in whatever language the page is in
+     * - position: Where the element sits on screen, for labels the dictionary does not know; only ever
+     *   looks at the buttons of a feed post or of the open photo viewer, and never used for Next
+     * A locator that switches strategy (a selector broken by a new Facebook build) is logged once
+     */
+
+    /*
+     * Checks if an element belongs to a feed post itself, not to a comment or a post shared inside it
+     * Without a post, every element of the page belongs
+     */
+    const inPost = (element, post) => !post || element.closest(CONFIG.POST_SELECTOR) === post;
+
+    /*
+     * First visible element matching a selector, within a feed post when one is given
+     */
+    const firstVisible = (selector, post) => {
+        return queryAll(selector, post || document).find((element) => element.offsetParent !== null && inPost(element, post)) || null;
+    };
+
+    /*
+     * Describes a visible button for the clustering and position heuristics
+     */
+    const describeButton = (element) => {
+        const rect = element.getBoundingClientRect();
+        const label = labelOf(element);
+        return {
+            element,
+            label,
+            parsed: parseLabel(label),
+            y: Math.round(rect.top),
+            width: rect.width,
+            height: rect.height,
+            cx: (rect.left + rect.right) / 2,
+            cy: (rect.top + rect.bottom) / 2
+        };
+    };
+
+    /*
+     * Buttons the position fallbacks may pick from
+     */
+    const POSITION_BUTTON_SELECTOR = '[role="button"],button';
+
+    /*
+     * Open photo viewer, the topmost visible dialog
+     * Returns null when the photo is not shown in a dialog
+     */
+    const viewerDialog = () => queryAll('[role="dialog"]').filter(isVisible).pop() || null;
+
+    /*
+     * Position fallback for a post's reaction row: the topmost row of 3 or 4 buttons of similar size
+     * (Like, Comment, Share and sometimes Send), returned left to right
+     * Looks inside the given feed post, or the photo viewer dialog; returns null without either
+     */
+    const positionRow = (post) => {
+        const scope = post || viewerDialog();
+        if (!scope) return null;
+        const candidates = visibleButtons()
+            .filter((element) => element.matches(POSITION_BUTTON_SELECTOR) && scope.contains(element) && inPost(element, post))
+            .map(describeButton)
+            .filter((item) => item.width >= 40 && item.height >= 20 && item.height <= 60)
+            .sort((a, b) => a.y - b.y);
+        const row = clusterByRow(candidates, 8).find((group) => {
+            const widths = group.map((item) => item.width);
+            return group.length >= 3 && group.length <= 4 && Math.max(...widths) <= Math.min(...widths) * 1.5;
+        });
+        return row ? row.sort((a, b) => a.cx - b.cx) : null;
+    };
+
+    /*
+     * First button of a reaction row found by position, with whether it is pressed (reacted to)
+     * Its label is unknown, so only aria-pressed tells a Like button from a Remove Like button;
+     * returns null when the row is missing or does not say, the button must not be clicked then
+     */
+    const positionTrigger = (post) => {
+        const element = positionRow(post)?.[0].element;
+        const pressed = element?.getAttribute('aria-pressed');
+        return pressed === 'true' || pressed === 'false' ? { element, pressed: pressed === 'true' } : null;
+    };
+
+    /*
+     * Position fallback for the reaction picker: a row of one small button per reaction near the trigger,
+     * in the order of REACTIONS
+     */
+    const pickerOptionByPosition = (reaction, anchorY) => {
+        const candidates = visibleButtons()
+            .filter((element) => element.matches(POSITION_BUTTON_SELECTOR))
+            .map(describeButton)
+            .filter((item) => item.width <= 60 && item.height <= 60 && Math.abs(item.cy - anchorY) <= 120)
+            .sort((a, b) => a.y - b.y);
+        const row = clusterByRow(candidates, 10).find((group) => group.length === REACTIONS.length);
+        return row ? row.sort((a, b) => a.cx - b.cx)[REACTIONS.indexOf(reaction)].element : null;
+    };
+
+    /*
+     * Button of the open photo's reaction row, or of a feed post, whose label satisfies matches
+     */
+    const rowButton = (matches, post) => {
+        if (post) {
+            return visibleButtons().find((element) => {
+                const parsed = post.contains(element) && inPost(element, post) && parseLabel(labelOf(element));
+                return parsed && matches(parsed);
+            }) || null;
+        }
+        return labelCluster('photo')?.group.find((item) => item.parsed && matches(item.parsed))?.element || null;
+    };
+
+    /*
+     * Strategies of each locator, as [strategy, find] pairs; find receives the arguments given to locate()
+     * The button locators take an optional feed post to search in, the open photo otherwise
+     * Next has no position strategy: clicking a wrong button there leaves the album, so a missing Next ends the run
+     */
+    const LOCATORS = {
+        'Like button': [
+            ['selector', (post) => firstVisible(CONFIG.LIKE_BUTTON_SELECTOR, post)],
+            ['label', (post) => rowButton((parsed) => parsed.kind === 'react' || (parsed.kind === 'reaction' && parsed.reaction === 'Like'), post)],
+            ['position', (post) => {
+                const trigger = positionTrigger(post);
+                return trigger && !trigger.pressed ? trigger.element : null;
+            }]
+        ],
+        'Remove reaction button': [
+            ['selector', (post) => firstVisible(CONFIG.REMOVE_REACTION_SELECTOR, post)],
+            ['label', (post) => rowButton((parsed) => parsed.kind === 'remove' || parsed.kind === 'change', post)],
+            ['position', (post) => {
+                const trigger = positionTrigger(post);
+                return trigger?.pressed ? trigger.element : null;
+            }]
+        ],
+        'Reaction container': [
+            ['selector', (post) => queryAll(CONFIG.REACTION_CONTAINER_SELECTOR, post || document).find((element) => inPost(element, post)) || null]
+        ],
+        'Next button': [
+            ['selector', () => firstVisible(CONFIG.NEXT_BUTTON_SELECTOR)],
+            ['label', () => navButtons(VIEWER_PROFILES.photo).next]
+        ],
+        'Reaction row': [
+            ['label', (kind) => labelCluster(kind)],
+            ['position', () => positionCluster()]
+        ]
+    };
+
+    /*
+     * Strategy each locator matched with last
+     */
+    let locatorStrategies = {};
+
+    /*
+     * Finds an element with the first strategy of a locator that matches
+     */
+    const locate = (name, ...args) => {
+        for (const [strategy, find] of LOCATORS[name]) {
+            const found = find(...args);
+            if (!found) continue;
+            if (locatorStrategies[name] !== strategy) {
+                log(`${name} located by ${strategy}`, { previous: locatorStrategies[name] || 'none' });
+                locatorStrategies[name] = strategy;
+            }
+            return found;
+        }
+        return null;
+    };
+
+    /*
+     * Explains which locators found nothing on an item, for the stop reason
+     */
+    const locatorMissReason = (names, item) => {
+        const misses = names.map((name) => `${name} (tried ${LOCATORS[name].map(([strategy]) => strategy).join(', ')})`);
+        return `No locator strategy matched on ${item.kind} ${item.id || item.url}: ${misses.join('; ')}`;
+    };
+
+    /*
+     * ----- Album mode (v1/v2) -----
+     * Polls the photo viewer for the Like/Remove buttons through the locators
+     */
+
+    /*
+     * Checks if the post is reactable by verifying the reaction container has at least 2 div children
+     * Without the container, a located Like button makes the post reactable
+     * Looks at the open photo, or at the given feed post
+     * Returns true or false, or null when neither the container nor the Like button can be located
+     */
+    const isPostReactable = (post) => {
+        const container = locate('Reaction container', post);
+        if (!container) {
+            log('Reaction container not found, looking for the Like button');
+            return locate('Like button', post) ? true : null;
+        }
+        const divChildren = Array.from(container.children).filter(child => child.tagName === 'DIV');
+        const isReactable = divChildren.length >= 2;
+        log(`Reaction container found, ${divChildren.length} div children, reactable: ${isReactable}`);
+        return isReactable;
+    };
+
+    /*
+     * Checks if the post is already reacted to
+     * Returns true if any Remove/Change <reaction> button is found on the open photo, or the given feed post
+     */
+    const isPostReacted = (post) => {
+        return !!locate('Remove reaction button', post);
+    };
+
+    /*
+     * Reads the existing reaction from the Remove/Change <reaction> button
+     * Returns the reaction name, or null if the post is not reacted to or the label is unknown
+     */
+    const existingReaction = (post) => {
+        return parseLabel(labelOf(locate('Remove reaction button', post)))?.reaction || null;
+    };
+
+    /*
+     * Album loop position
+     * arrivedKey: Id (or URL) of the photo being handled
+     * arrivedAt: When that photo showed up, to give up once no locator finds its buttons
+     * finishedItemId: Id of the last photo the loop moved away from; until the URL changes,
+     *     the old photo is still on screen and must not be handled a second time
+     * finishedAt: When Next was clicked on finishedItemId
+     * haltCheckedAt: When the poll last looked for a safety limit; the check reads localStorage and every
+     *     dialog, too much for each poll when CONFIG.POLL_INTERVAL is 0
+     */
+    let arrivedKey = null;
+    let arrivedAt = 0;
+    let finishedItemId = null;
+    let finishedAt = 0;
+    let haltCheckedAt = 0;
+
+    /*
+     * How often a photo's polls look for a safety limit after the first one (moveOn checks after each photo)
+     */
+    const HALT_CHECK_INTERVAL = 250;
+
+    /*
+     * Attempts to click an element found by a locator
+     * Checks if element exists and is clickable before clicking
+     * Parameters:
+     * - locator: Name of the locator, see LOCATORS
+     * - name: Descriptive name for logging
+     * - onSuccess: Callback after successful click
+     */
+    const tryClick = (locator, name, onSuccess) => {
+        operationCount++;
+        log(`Attempting ${name} operation`, { locator });
+
+        try {
+            const element = locate(locator);
+            if (!element) {
+                log(`${name} not found`);
+                return false;
+            }
+            if (!isElementClickable(element)) {
+                log(`${name} found but not clickable`);
+                return false;
+            }
+            log(`${name} found and clickable, performing click`, { element, strategy: locatorStrategies[locator] });
+            element.click();
+            if (name.includes('Next')) {
+                nextCount++;
+                emit('navigated', { via: 'next', from: currentLabel });
+            }
+            log(`${name} click successful`);
+            setTimeout(onSuccess, 0);
+            return true;
+        } catch (error) {
+            log(`${name} operation error`, { error: error.message });
+            emit('error', { error: error.message, step: name });
+            return false;
+        }
+    };
+
+    /*
+     * Applies CONFIG.REACTION through the Like button
+     * Like is a plain click; any other reaction is picked from the picker opened on the Like button
+     * A reaction only counts as applied once a Remove <reaction> button shows up
+     * Returns true if the reaction was started, onSuccess(applied) runs once it is done
+     */
+    const tryReact = (onSuccess) => {
+        const generation = runGeneration;
+        const confirm = (clicked) => {
+            if (!clicked) {
+                onSuccess(false);
+                return;
+            }
+            waitFor(isPostReacted, CONFIG.REACTION_CONFIRM_WAIT, 100).then((confirmed) => {
+                if (!confirmed) log(`${CONFIG.REACTION} clicked but no Remove button appeared`);
+                onSuccess(confirmed);
+            });
+        };
+
+        if (CONFIG.REACTION === 'Like') {
+            return tryClick('Like button', 'Like button', () => confirm(true));
+        }
+
+        operationCount++;
+        const trigger = locate('Like button');
+        if (!isElementClickable(trigger)) {
+            log('Like button not found or not clickable');
+            return false;
+        }
+        log(`Opening reaction picker for ${CONFIG.REACTION}`, { element: trigger });
+        pickReaction(trigger, CONFIG.REACTION, { generation })
+            .then(confirm)
+            .catch((error) => {
+                log('Reaction picker error', { error: error.message });
+                emit('error', { error: error.message, step: 'Reaction picker' }, generation);
+                onSuccess(false);
+            });
+        return true;
+    };
+
+    /*
+     * Clicks Next, retrying while the button is still loading
+     * Ends the run when Next is disabled, or missing for CONFIG.END_OF_ALBUM_WAIT
+     * Parameters:
+     * - generation: Run the click belongs to
+     * - name: Descriptive name for logging
+     * - onMoved: Callback after the click
+     * - since: When the first attempt was made
+     */
+    const goNext = (generation, name, onMoved, since = Date.now()) => {
+        if (!isCurrentRun(generation)) return;
+        if (status === 'paused') {
+            whenResumed().then(() => goNext(generation, name, onMoved));
+            return;
+        }
+        if (tryClick('Next button', name, onMoved)) return;
+
+        if (isDisabled(locate('Next button'))) {
+            finishRun(generation, 'Next button is disabled, reached the end of the album');
+            return;
+        }
+        if (Date.now() - since >= CONFIG.END_OF_ALBUM_WAIT) {
+            finishRun(generation, 'Next button is gone, reached the end of the album');
+            return;
+        }
+        setTimeout(() => goNext(generation, name, onMoved, since), Math.max(CONFIG.POLL_INTERVAL, 100));
+    };
+
+    /*
+     * Records the outcome of the current photo, then moves to the next one
+     * Stops instead when a safety limit or a stop condition is reached
+     * Does nothing once the run was stopped or replaced while the photo was being handled
+     */
+    const moveOn = (generation, item, outcome, reaction, name, rule) => {
+        if (!isCurrentRun(generation)) return;
+        finishItem(item, outcome, reaction, rule);
+        const reason = haltReason();
+        if (reason) {
+            halt(reason);
+            return;
+        }
+        const limit = limitStopReason();
+        if (limit) {
+            finishRun(generation, limit);
+            return;
+        }
+        goNext(generation, name, () => {
+            finishedItemId = item.id;
+            finishedAt = Date.now();
+            log(`Cycle completed (${outcome}), restarting`);
+            setTimeout(() => runCycle(generation), CONFIG.CYCLE_DELAY);
+        });
+    };
+
+    /*
+     * Undo step of the album loop: removes the photo's reaction, or keeps it, then moves to the next photo
+     * Returns false while the photo's buttons cannot be located yet
+     */
+    const undoPhoto = (generation, item) => {
+        if (!isPostReacted()) {
+            if (isPostReactable() === null) return false;
+            log('Post not reacted, attempting to move to next');
+            moveOn(generation, item, 'not-reacted', null, 'Next photo button (not reacted)');
+            return true;
+        }
+        const reaction = existingReaction();
+        const rule = undoSkipReason(item, reaction);
+        if (rule) {
+            moveOn(generation, item, 'filtered', reaction, 'Next photo button (kept)', rule);
+            return true;
+        }
+        if (CONFIG.DRY_RUN) {
+            log(`Dry run: would remove ${reaction}, attempting to move to next`);
+            moveOn(generation, item, 'would-remove', reaction, 'Next photo button (dry run)');
+            return true;
+        }
+        return tryClick('Remove reaction button', `Remove ${reaction} button`, () => {
+            waitFor(() => !isPostReacted(), CONFIG.REACTION_CONFIRM_WAIT, 100).then((removed) => {
+                log(`Removing ${reaction} ${removed ? 'successful' : 'failed'}, attempting to move to next`);
+                moveOn(generation, item, removed ? 'removed' : 'failed', reaction, 'Next photo button');
+            });
+        });
+    };
+
+    /*
+     * Polls for buttons (Remove or Like) until one is found and actionable
+     * If the photo is in the ledger already, clicks Next
+     * If Remove button is found, clicks Next
+     * If Like button is found and post is reactable, reacts then clicks Next
+     * If post is not reactable, or a content filter rules it out, clicks Next
+     * An undo run removes the reaction instead, see undoPhoto
+     * Ends the run when no locator finds the buttons within CONFIG.LOCATOR_TIMEOUT
+     * A dry run only records what it would do: would-react instead of reacting, unknown instead of ending the run
+     * Waits while the run is paused and gives up once it is stopped or a safety limit is hit
+     * Parameters:
+     * - generation: Run the poll belongs to
+     * - pollCount: Tracks polling attempts for logging
+     */
+    const pollForButtons = (generation, pollCount = 1) => {
+        if (!isCurrentRun(generation)) return;
+        if (status === 'paused') {
+            whenResumed().then(() => pollForButtons(generation, pollCount));
+            return;
+        }
+        if (pollCount === 1 || Date.now() - haltCheckedAt >= HALT_CHECK_INTERVAL) {
+            haltCheckedAt = Date.now();
+            const reason = haltReason();
+            if (reason) {
+                halt(reason);
+                return;
+            }
+        }
+        operationCount++;
+        if (pollCount <= maxPollLog) {
+            log(`Polling for buttons (attempt ${pollCount})`);
+        } else if (pollCount === maxPollLog + 1) {
+            log(`Polling for buttons (suppressing future logs)`);
+        }
+
+        const item = currentItem();
+
+        /*
+         * Next was clicked but the previous photo is still shown
+         * If it stays, Next leads nowhere and the album is done
+         */
+        if (item.id && item.id === finishedItemId) {
+            if (Date.now() - finishedAt >= CONFIG.END_OF_ALBUM_WAIT) {
+                finishRun(generation, `Next did not move past ${item.kind} ${item.id}, reached the end of the album`);
+                return;
+            }
+            setTimeout(() => pollForButtons(generation, pollCount + 1), CONFIG.POLL_INTERVAL);
+            return;
+        }
+
+        /*
+         * A new photo showed up, check the stop conditions before touching it
+         */
+        if ((item.id || item.url) !== arrivedKey) {
+            const arrival = arrivalStopReason(item);
+            if (arrival) {
+                finishRun(generation, arrival);
+                return;
+            }
+            arrivedKey = item.id || item.url;
+            arrivedAt = Date.now();
+            startItem(item);
+        }
+
+        if (CONFIG.UNDO) {
+            /*
+             * Undo run: remove the reaction instead of adding one
+             */
+            if (undoPhoto(generation, item)) return;
+        } else if (isHandled(item)) {
+            /*
+             * Skip photos handled by an earlier run
+             */
+            log('Post handled by an earlier run, attempting to move to next', { id: item.id, album: item.album });
+            moveOn(generation, item, 'skipped', null, 'Next photo button (already handled)');
+            return;
+        } else if (isPostReacted()) {
+            /*
+             * Check for Remove buttons first
+             * If found, click Next button
+             */
+            log('Post already reacted, attempting to move to next');
+            moveOn(generation, item, 'already-reacted', existingReaction(), 'Next photo button (already reacted)');
+            return;
+        }
+
+        const reactable = CONFIG.UNDO ? null : isPostReactable();
+        const rule = reactable ? filterSkipReason(item) : null;
+        if (rule) {
+            /*
+             * Post is reactable but ruled out by a content filter, click Next
+             */
+            moveOn(generation, item, 'filtered', null, 'Next photo button (filtered)', rule);
+            return;
+        } else if (reactable && CONFIG.DRY_RUN) {
+            /*
+             * Dry run: note the reaction instead of clicking
+             */
+            if (isElementClickable(locate('Like button'))) {
+                log(`Dry run: would ${CONFIG.REACTION} the post, attempting to move to next`);
+                moveOn(generation, item, 'would-react', CONFIG.REACTION, 'Next photo button (dry run)');
+                return;
+            }
+        } else if (reactable) {
+            /*
+             * Post is reactable and not reacted, react then click Next
+             */
+            const started = tryReact((applied) => {
+                log(`${CONFIG.REACTION} ${applied ? 'successful' : 'failed'}, attempting to move to next`);
+                moveOn(generation, item, applied ? 'reacted' : 'failed', CONFIG.REACTION, 'Next photo button');
+            });
+            if (started) return;
+        } else if (reactable === false) {
+            /*
+             * Post is not reactable, click Next
+             */
+            log('Post not reactable, attempting to move to next');
+            moveOn(generation, item, 'not-reactable', null, 'Next photo button (not reactable)');
+            return;
+        }
+
+        /*
+         * Nothing located for too long, the page layout is not one the locators know
+         */
+        if (Date.now() - arrivedAt >= CONFIG.LOCATOR_TIMEOUT) {
+            const reason = locatorMissReason(['Reaction container', 'Like button', 'Remove reaction button'], item);
+            console.warn(`[FBLikes] ${reason}`);
+            if (CONFIG.DRY_RUN) {
+                moveOn(generation, item, 'unknown', null, 'Next photo button (unknown)');
+            } else {
+                finishRun(generation, reason);
+            }
+            return;
+        }
+
+        /*
+         * No actionable buttons found, continue polling
+         */
+        setTimeout(() => pollForButtons(generation, pollCount + 1), CONFIG.POLL_INTERVAL);
+    };
+
+    /*
+     * Main cycle to initiate button polling
+     * Starts polling for Remove or Like buttons
+     */
+    const runCycle = (generation) => {
+        if (!isCurrentRun(generation)) return;
+        log('Starting new cycle');
+        pollForButtons(generation);
+    };
+
+    /*
+     * ----- Viewer mode (heart-react) -----
+     * Finds the reaction buttons of the open photo or reel by clustering labelled buttons into rows
+     * and picking the row closest to the Next/Previous navigation
+     */
+
+    /*
+     * Label kinds that belong to a post's reaction row
+     */
+    const ROW_LABEL_KINDS = ['remove', 'change', 'react', 'unlike', 'reaction', 'share', 'menu'];
+    const isRowLabel = (parsed) => !!parsed && ROW_LABEL_KINDS.includes(parsed.kind);
+
+    /*
+     * Preference of a row button as the one to long-press for the picker (lower wins)
+     */
+    const triggerRank = (parsed) => {
+        if (!parsed) return Infinity;
+        const { kind, reaction } = parsed;
+        if ((kind === 'change' || kind === 'remove') && reaction === 'Like') return 0;
+        if (kind === 'react') return 1;
+        if (kind === 'reaction' && reaction === 'Like') return 2;
+        if (kind === 'unlike') return 3;
+        if (kind === 'reaction' && reaction === 'Love') return 4;
+        if (kind === 'change' || kind === 'remove') return 5;
+        return Infinity;
+    };
+
+    /*
+     * Score predicates shared by the profiles
+     */
+    const likeReacted = (parsed) => parsed.kind === 'change' && parsed.reaction === 'Like';
+    const likeAvailable = (parsed) => parsed.kind === 'react' || (parsed.kind === 'reaction' && parsed.reaction === 'Like');
+    const loveReacted = (parsed) => parsed.kind === 'change' && parsed.reaction === 'Love';
+
+    /*
+     * Per page type layout knowledge
+     * prevKind/nextKind/nextPrefixKind: Label kinds of the navigation buttons
+     * anchorX: Horizontal fallback anchor as a fraction of the window width
+     * tolerance: Max vertical distance for two buttons to share a row
+     * xWeight: How much horizontal distance from the anchor counts against a row
+     * scores: Score adjustments for rows containing a label that satisfies the predicate (lower wins)
+     * aboveComments: Ignore buttons below the Comments heading (reactions on comments)
+     * scrollWhenStuck: Scroll down when no Next button is found
+     */
+    const VIEWER_PROFILES = {
+        photo: {
+            prevKind: 'previousPhoto',
+            nextKind: 'nextPhoto',
+            nextPrefixKind: 'nextPhoto',
+            anchorX: 0.7,
+            tolerance: 140,
+            xWeight: 0.25,
+            scores: [[likeReacted, -160], [likeAvailable, -80], [loveReacted, 60]],
+            aboveComments: true,
+            scrollWhenStuck: false
+        },
+        reel: {
+            prevKind: 'previousCard',
+            nextKind: 'nextCard',
+            nextPrefixKind: 'next',
+            anchorX: 0.75,
+            tolerance: 120,
+            xWeight: 0.35,
+            scores: [[likeReacted, -220], [likeAvailable, -120], [loveReacted, 80]],
+            aboveComments: false,
+            scrollWhenStuck: true
+        }
+    };
+
+    /*
+     * Detects which kind of item is open: 'reel', 'photo' or null when unsupported
+     */
+    const pageKind = () => {
+        const kinds = visibleButtons().map((element) => parseLabel(labelOf(element))?.kind);
+        const hasLabel = (...labelKinds) => labelKinds.some((kind) => kinds.includes(kind));
+        if (/\/reel\//.test(location.pathname) || hasLabel('previousCard', 'nextCard')) return 'reel';
+        if (/\/photo/.test(location.pathname) || hasLabel('previousPhoto', 'nextPhoto')) return 'photo';
+        return null;
+    };
+
+    /*
+     * Vertical offset of the Comments heading, cached until the next photo
+     * Reaction buttons below it belong to comments, not to the photo
+     */
+    let cachedCommentsTop = null;
+    const commentsTop = () => {
+        if (cachedCommentsTop !== null) return cachedCommentsTop;
+        const headings = labelTables().byKind.get('comments');
+        const heading = queryAll('h1,h2,h3,h4,div,span').find((element) => headings.includes(normalizeLabel(element.textContent || '')));
+        cachedCommentsTop = heading ? heading.getBoundingClientRect().top : Infinity;
+        return cachedCommentsTop;
+    };
+    const resetCommentsTop = () => {
+        cachedCommentsTop = null;
+    };
+
+    /*
+     * Finds the Previous/Next navigation buttons of the viewer by label
+     */
+    const navButtons = (profile) => {
+        const buttons = visibleButtons();
+        const ofKind = (kind) => buttons.find((element) => parseLabel(labelOf(element))?.kind === kind);
+        return {
+            prev: ofKind(profile.prevKind) || null,
+            next: ofKind(profile.nextKind) ||
+                buttons.find((element) => labelStartsWith(labelOf(element), profile.nextPrefixKind)) || null
+        };
+    };
+
+    /*
+     * Visible reaction row candidates, sorted top to bottom
+     */
+    const reactionButtons = (profile) => {
+        const maxTop = profile.aboveComments ? commentsTop() : Infinity;
+        return visibleButtons()
+            .filter((element) => element.getBoundingClientRect().top < maxTop)
+            .map(describeButton)
+            .filter((item) => isRowLabel(item.parsed))
+            .sort((a, b) => a.y - b.y);
+    };
+
+    /*
+     * Groups buttons into rows: a button joins the first row whose average center is within tolerance
+     */
+    const clusterByRow = (buttons, tolerance) => {
+        const rows = [];
+        for (const button of buttons) {
+            const row = rows.find((candidate) => {
+                const avgY = candidate.reduce((sum, item) => sum + item.cy, 0) / candidate.length;
+                return Math.abs(button.cy - avgY) <= tolerance;
+            });
+            if (row) row.push(button);
+            else rows.push([button]);
+        }
+        return rows;
+    };
+
+    /*
+     * Picks the labelled row most likely to be the open item's reaction row
+     * Returns { group, labels, avgY, avgX, score } or null when no candidate is visible
+     */
+    const labelCluster = (kind) => {
+        const profile = VIEWER_PROFILES[kind];
+        const { prev, next } = navButtons(profile);
+        const anchor = next || prev;
+        const anchorY = anchor ? centerY(anchor) : innerHeight / 2;
+        const anchorX = anchor ? centerX(anchor) : innerWidth * profile.anchorX;
+        const rows = clusterByRow(reactionButtons(profile), profile.tolerance);
+        if (!rows.length) return null;
+
+        const clusters = rows.map((group) => {
+            const avgY = group.reduce((sum, item) => sum + item.cy, 0) / group.length;
+            const avgX = group.reduce((sum, item) => sum + item.cx, 0) / group.length;
+            const labels = group.map((item) => item.label);
+            let score = Math.abs(avgY - anchorY) + Math.abs(avgX - anchorX) * profile.xWeight;
+            for (const [matches, adjustment] of profile.scores) {
+                if (group.some((item) => item.parsed && matches(item.parsed))) score += adjustment;
+            }
+            return { group, labels, avgY, avgX, score };
+        }).sort((a, b) => a.score - b.score);
+
+        log(`${kind} clusters`, {
+            clusters: clusters.map((cluster) => ({
+                labels: cluster.labels,
+                y: Math.round(cluster.avgY),
+                x: Math.round(cluster.avgX),
+                score: Math.round(cluster.score)
+            }))
+        });
+        return clusters[0] || null;
+    };
+
+    /*
+     * Position fallback for the reaction row, when none of its labels is in the dictionary
+     * Only finds the row of a photo shown in the viewer dialog
+     */
+    const positionCluster = () => {
+        const group = positionRow();
+        if (!group) return null;
+        return {
+            group,
+            labels: group.map((item) => item.label),
+            avgY: group.reduce((sum, item) => sum + item.cy, 0) / group.length,
+            avgX: group.reduce((sum, item) => sum + item.cx, 0) / group.length,
+            score: 0
+        };
+    };
+
+    /*
+     * Finds the open item's reaction row through the 'Reaction row' locator
+     */
+    const bestCluster = (kind) => locate('Reaction row', kind);
+
+    /*
+     * Reads the current reaction from a row's labels, or from aria-pressed on a row found by position
+     * Returns the reaction in lower case, 'none' when not reacted, 'reacted' when reacted with a reaction
+     * that cannot be told, 'unknown' when the row is unreadable
+     */
+    const reactionState = (cluster) => {
+        if (!cluster) return 'none';
+        const parsed = cluster.group.map((item) => item.parsed).filter(Boolean);
+        const current = parsed.find(({ kind }) => kind === 'change' || kind === 'remove');
+        if (current) return current.reaction.toLowerCase();
+        if (parsed.some(({ kind }) => kind === 'react' || kind === 'unlike' || kind === 'reaction')) return 'none';
+        const pressed = parsed.length ? null : cluster.group[0]?.element.getAttribute('aria-pressed');
+        if (pressed === 'true') return 'reacted';
+        if (pressed === 'false') return 'none';
+        return 'unknown';
+    };
+
+    /*
+     * Picks the button of a row to open the picker on
+     */
+    const reactionTrigger = (cluster) => {
+        if (!cluster) return null;
+        const ranked = [...cluster.group].sort((a, b) => triggerRank(a.parsed) - triggerRank(b.parsed));
+        return ranked[0]?.element || null;
+    };
+
+    /*
+     * Waits for the reaction row of the open item to render
+     */
+    const waitForCluster = (kind, timeout, interval) => waitFor(() => {
+        resetButtons();
+        return bestCluster(kind);
+    }, timeout, interval);
+
+    /*
+     * Maps a lower case reaction state back to its reaction name, null for 'none'/'unknown'
+     */
+    const reactionName = (state) => REACTIONS.find((reaction) => reaction.toLowerCase() === state) || null;
+
+    /*
+     * Resolved by a viewer or feed step whose run was stopped or replaced while it waited, nothing is recorded for it
+     */
+    const STOPPED = { outcome: 'stopped', reaction: null };
+
+    /*
+     * Applies CONFIG.REACTION to the open photo or reel, retrying up to CONFIG.retryPerItem times
+     * Resolves { outcome, reaction, rule } with outcome 'reacted', 'already-reacted', 'failed', 'filtered'
+     * (rule names the content filter) or 'not-found' (no locator found the reaction row within
+     * CONFIG.LOCATOR_TIMEOUT) and reaction the one now on the item
+     * A dry run stops before the long-press and resolves 'would-react' or 'unknown' instead; so does a real
+     * run, with 'unknown', when the row's state cannot be read
+     * Resolves STOPPED once the run generation is no longer current
+     */
+    const reactToItem = async (generation, kind, item) => {
+        const profile = VIEWER_PROFILES[kind];
+        const target = CONFIG.REACTION.toLowerCase();
+        const failed = { outcome: 'failed', reaction: null };
+
+        let cluster = await waitForCluster(kind, CONFIG.LOCATOR_TIMEOUT, 60);
+        if (!isCurrentRun(generation)) return STOPPED;
+        if (!cluster) {
+            log(`${kind} cluster never rendered`);
+            return { outcome: 'not-found', reaction: null };
+        }
+        const initial = reactionState(cluster);
+        if (initial === target || initial === 'reacted' || (reactionName(initial) && !CONFIG.CHANGE_EXISTING)) {
+            return { outcome: 'already-reacted', reaction: reactionName(initial) };
+        }
+        const rule = filterSkipReason(item);
+        if (rule) return { outcome: 'filtered', reaction: null, rule };
+        if (CONFIG.DRY_RUN) {
+            const readable = initial !== 'unknown' && reactionTrigger(cluster);
+            log(`${kind} dry run`, { state: initial, labels: cluster.labels });
+            return readable ? { outcome: 'would-react', reaction: CONFIG.REACTION } : { outcome: 'unknown', reaction: null };
+        }
+
+        for (let attempt = 1; attempt <= CONFIG.retryPerItem; attempt++) {
+            cluster = await waitForCluster(kind, 800, 40);
+            if (!isCurrentRun(generation)) return STOPPED;
+            if (!cluster) return failed;
+            const state = reactionState(cluster);
+            log(`${kind} state`, { state, labels: cluster.labels });
+            if (state === target || state === 'reacted') {
+                if (attempt === 1) return { outcome: 'already-reacted', reaction: reactionName(state) };
+                return { outcome: 'reacted', reaction: CONFIG.REACTION };
+            }
+            /*
+             * Unreadable row: its first button may be a Remove button, clicking it would take a reaction away
+             */
+            if (state === 'unknown') return { outcome: 'unknown', reaction: null };
+
+            const trigger = reactionTrigger(cluster);
+            if (!trigger) return failed;
+            const picked = await pickReaction(trigger, CONFIG.REACTION, {
+                anchorY: cluster.avgY,
+                anchorX: cluster.avgX,
+                xWeight: profile.xWeight,
+                maxTop: profile.aboveComments ? commentsTop() : Infinity,
+                generation
+            });
+            if (!isCurrentRun(generation)) return STOPPED;
+            if (picked) {
+                await sleep(CONFIG.postReactWait);
+                if (!isCurrentRun(generation)) return STOPPED;
+                resetButtons();
+                cluster = bestCluster(kind);
+                const after = reactionState(cluster);
+                log(`${kind} post-react`, { state: after, labels: cluster?.labels });
+                if (after === target || after === 'reacted') return { outcome: 'reacted', reaction: CONFIG.REACTION };
+            }
+            await sleep(200 + attempt * 80);
+            if (!isCurrentRun(generation)) return STOPPED;
+        }
+        return failed;
+    };
+
+    /*
+     * Button of a row that removes the current reaction, with the reaction it removes, or null when not reacted
+     * A row found by position and pressed gives its first button, the reaction it removes unknown (null)
+     */
+    const undoTarget = (cluster) => {
+        const found = cluster.group.find(({ parsed }) => parsed && (parsed.kind === 'remove' || parsed.kind === 'change')) ||
+            cluster.group.find(({ parsed }) => parsed?.kind === 'unlike');
+        if (found) return { element: found.element, reaction: found.parsed.reaction || 'Like' };
+        return reactionState(cluster) === 'reacted' ? { element: cluster.group[0].element, reaction: null } : null;
+    };
+
+    /*
+     * Removes the reaction of the open photo or reel, retrying up to CONFIG.retryPerItem times
+     * Resolves { outcome, reaction, rule } with outcome 'removed', 'not-reacted', 'filtered' (the reaction
+     * is kept, rule says why), 'failed', 'unknown', 'would-remove' (dry run) or 'not-found'
+     * Resolves STOPPED once the run generation is no longer current
+     */
+    const undoItem = async (generation, kind, item) => {
+        let cluster = await waitForCluster(kind, CONFIG.LOCATOR_TIMEOUT, 60);
+        if (!isCurrentRun(generation)) return STOPPED;
+        if (!cluster) return { outcome: 'not-found', reaction: null };
+        const target = undoTarget(cluster);
+        if (!target) return { outcome: reactionState(cluster) === 'unknown' ? 'unknown' : 'not-reacted', reaction: null };
+        const rule = undoSkipReason(item, target.reaction);
+        if (rule) return { outcome: 'filtered', reaction: target.reaction, rule };
+        if (CONFIG.DRY_RUN) return { outcome: 'would-remove', reaction: target.reaction };
+
+        let button = target.element;
+        for (let attempt = 1; attempt <= CONFIG.retryPerItem; attempt++) {
+            if (button) {
+                log(`${kind} removing ${target.reaction}`, { attempt });
+                button.click();
+                await sleep(CONFIG.postReactWait);
+                if (!isCurrentRun(generation)) return STOPPED;
+            }
+            cluster = await waitForCluster(kind, 800, 40);
+            if (!isCurrentRun(generation)) return STOPPED;
+            const left = cluster && undoTarget(cluster);
+            if (cluster && !left) return { outcome: 'removed', reaction: target.reaction };
+            button = left ? left.element : null;
+            await sleep(200 + attempt * 80);
+            if (!isCurrentRun(generation)) return STOPPED;
+        }
+        return { outcome: 'failed', reaction: target.reaction };
+    };
+
+    /*
+     * Moves to the next photo or reel
+     * Reels scroll down when no usable Next button shows up; photos report false instead
+     * Reports false without moving once the run generation is no longer current
+     */
+    const nextItem = async (generation, kind) => {
+        const profile = VIEWER_PROFILES[kind];
+        const next = await waitFor(() => {
+            resetButtons();
+            return kind === 'photo' ? locate('Next button') : navButtons(profile).next;
+        }, CONFIG.END_OF_ALBUM_WAIT, 50);
+        if (!isCurrentRun(generation)) return false;
+        if (next && !isDisabled(next)) {
+            next.click();
+            nextCount++;
+            emit('navigated', { via: 'next', from: currentLabel }, generation);
+            resetButtons();
+            resetCommentsTop();
+            await sleep(CONFIG.nextWait);
+            return true;
+        }
+        if (profile.scrollWhenStuck) {
+            window.scrollBy({ top: Math.round(innerHeight * 0.9), behavior: 'smooth' });
+            emit('navigated', { via: 'scroll', from: currentLabel }, generation);
+            await sleep(800);
+            return true;
+        }
+        return false;
+    };
+
+    /*
+     * Identifies an item by URL and the layout of its reaction row
+     */
+    const itemKey = (kind, cluster) => {
+        return `${kind}|${location.href}|${(cluster?.labels || []).join(',')}|${Math.round(cluster?.avgY || 0)}`;
+    };
+
+    /*
+     * Main viewer loop: react to each unseen item not handled by an earlier run, then move on
+     * Ends when Next runs out, the album wraps around or a stop condition is reached
+     * Stops on unsupported pages, or after too many already-seen items in a row
+     */
+    const runViewer = async (generation) => {
+        const seen = new Set();
+        let repeats = 0;
+        let previousId = null;
+        let movedAt = 0;
+        let endReason = 'Finished';
+        while (isCurrentRun(generation)) {
+            await whenResumed();
+            if (!isCurrentRun(generation)) break;
+            const reason = haltReason();
+            if (reason) {
+                halt(reason);
+                break;
+            }
+            resetButtons();
+            const kind = pageKind();
+            if (!kind) {
+                endReason = 'Unsupported page type, use MODE \'feed\' on timelines and group feeds';
+                break;
+            }
+            if (kind === 'photo') resetCommentsTop();
+
+            const item = { ...currentItem(), kind };
+
+            /*
+             * Next was clicked but the previous item is still shown
+             * If it stays, Next leads nowhere and the album is done
+             */
+            if (item.id && item.id === previousId) {
+                if (Date.now() - movedAt >= CONFIG.END_OF_ALBUM_WAIT) {
+                    endReason = `Next did not move past ${kind} ${item.id}, reached the end`;
+                    break;
+                }
+                await sleep(CONFIG.loopDelay);
+                continue;
+            }
+
+            const key = itemKey(kind, await waitForCluster(kind, 1500, 60));
+            if (!isCurrentRun(generation)) break;
+            if (!seen.has(key)) {
+                const arrival = arrivalStopReason(item);
+                if (arrival) {
+                    endReason = arrival;
+                    break;
+                }
+                seen.add(key);
+                startItem(item);
+                if (!CONFIG.UNDO && isHandled(item)) {
+                    log(`${kind} handled by an earlier run`, { id: item.id, album: item.album });
+                    finishItem(item, 'skipped', null);
+                } else {
+                    const { outcome, reaction, rule } = await (CONFIG.UNDO ? undoItem : reactToItem)(generation, kind, item);
+                    if (!isCurrentRun(generation)) break;
+                    if (outcome === 'not-found') {
+                        const miss = locatorMissReason(['Reaction row'], item);
+                        console.warn(`[FBLikes] ${miss}`);
+                        if (!CONFIG.DRY_RUN) {
+                            endReason = miss;
+                            break;
+                        }
+                    }
+                    finishItem(item, outcome === 'not-found' ? 'unknown' : outcome, reaction, rule);
+                    log(`${kind} final`, { outcome });
+                }
+                const haltAfterItem = haltReason();
+                if (haltAfterItem) {
+                    halt(haltAfterItem);
+                    break;
+                }
+                const limit = limitStopReason();
+                if (limit) {
+                    endReason = limit;
+                    break;
+                }
+                repeats = 0;
+            } else {
+                repeats++;
+            }
+            previousId = item.id;
+            if (!isCurrentRun(generation)) break;
+            if (!await nextItem(generation, kind)) {
+                if (!isCurrentRun(generation)) break;
+                endReason = `No Next ${kind} button, reached the end`;
+                break;
+            }
+            movedAt = Date.now();
+
+            if (repeats > 8) {
+                endReason = 'Items keep repeating';
+                break;
+            }
+            await sleep(CONFIG.loopDelay);
+        }
+        finishRun(generation, endReason);
+    };
+
+    /*
+     * ----- Feed mode -----
+     * Scrolls through a profile or page timeline, or a group feed, and reacts to each post in turn
+     * Every post is scrolled into view before it is read, more posts load as the feed is scrolled down
+     */
+
+    /*
+     * Posts in a row whose buttons could not be located before the run gives up on the page layout
+     */
+    const FEED_MISS_LIMIT = 5;
+
+    /*
+     * Permalink shapes that carry a post's id
+     */
+    const POST_LINK_PATTERNS = [/\/posts\/([^/?#]+)/, /\/permalink\/(\d+)/, /[?&]story_fbid=([^&#]+)/, /[?&]fbid=(\d+)/, /\/videos\/(\d+)/, /\/reel\/(\d+)/];
+
+    /*
+     * Posts of the feed not looked at yet, top to bottom
+     * Only the outermost CONFIG.POST_SELECTOR matches count, nested ones are comments and shared posts
+     */
+    const feedPosts = (seen) => {
+        return queryAll(CONFIG.POST_SELECTOR)
+            .filter((post) => !seen.has(post) && !post.parentElement?.closest(CONFIG.POST_SELECTOR));
+    };
+
+    /*
+     * Query parameters that identify a post in its permalink, the others only track the click
+     */
+    const POST_LINK_PARAMS = ['story_fbid', 'fbid', 'id', 'set', 'v'];
+
+    /*
+     * Permalink without its tracking parameters and hash, as stored in the ledger
+     */
+    const cleanPostUrl = (href) => {
+        const url = new URL(href);
+        [...url.searchParams.keys()].filter((key) => !POST_LINK_PARAMS.includes(key)).forEach((key) => url.searchParams.delete(key));
+        url.hash = '';
+        return url.href;
+    };
+
+    /*
+     * Identifies a feed post by its permalink
+     * Returns { kind: 'post', id, album, url } with album the path of the feed, id null without a permalink
+     */
+    const postItem = (post) => {
+        for (const link of queryAll('a[href]', post).filter((element) => inPost(element, post))) {
+            for (const pattern of POST_LINK_PATTERNS) {
+                const match = link.href.match(pattern);
+                if (match) return { kind: 'post', id: match[1], album: location.pathname, url: cleanPostUrl(link.href) };
+            }
+        }
+        return { kind: 'post', id: null, album: location.pathname, url: cleanPostUrl(location.href) };
+    };
+
+    /*
+     * Applies CONFIG.REACTION to a feed post, unless it is reacted to already, not reactable or filtered out
+     * Resolves { outcome, reaction, rule } with outcome 'reacted', 'already-reacted', 'not-reactable', 'filtered',
+     * 'failed', 'would-react' (dry run) or 'not-found' (none of its buttons could be located)
+     * Resolves STOPPED once the run generation is no longer current
+     */
+    const reactToPost = async (generation, post, item) => {
+        if (isPostReacted(post)) return { outcome: 'already-reacted', reaction: existingReaction(post) };
+        const reactable = isPostReactable(post);
+        const trigger = locate('Like button', post);
+        if (reactable === false) return { outcome: 'not-reactable', reaction: null };
+        if (!isElementClickable(trigger)) return { outcome: 'not-found', reaction: null };
+
+        const rule = filterSkipReason(item, post);
+        if (rule) return { outcome: 'filtered', reaction: null, rule };
+        if (CONFIG.DRY_RUN) return { outcome: 'would-react', reaction: CONFIG.REACTION };
+
+        let clicked = true;
+        if (CONFIG.REACTION === 'Like') {
+            log('Clicking Like on post', { id: item.id });
+            trigger.click();
+        } else {
+            log(`Opening reaction picker for ${CONFIG.REACTION} on post`, { id: item.id });
+            clicked = await pickReaction(trigger, CONFIG.REACTION, { generation });
+            if (!isCurrentRun(generation)) return STOPPED;
+        }
+        const applied = clicked && await waitFor(() => {
+            resetButtons();
+            return isPostReacted(post);
+        }, CONFIG.REACTION_CONFIRM_WAIT, 100);
+        if (!isCurrentRun(generation)) return STOPPED;
+        if (!applied) log(`${CONFIG.REACTION} on post did not stick`, { id: item.id });
+        return applied ? { outcome: 'reacted', reaction: CONFIG.REACTION } : { outcome: 'failed', reaction: null };
+    };
+
+    /*
+     * Main feed loop: scroll each new post into view and react to it, scroll down for more when none is left
+     * Ends when no new posts load for CONFIG.FEED_END_WAIT, after CONFIG.FEED_MAX_POSTS posts or on a stop condition
+     */
+    const runFeed = async (generation) => {
+        const seen = new WeakSet();
+        let postCount = 0;
+        let misses = 0;
+        let idleSince = 0;
+        let endReason = 'Finished';
+        while (isCurrentRun(generation)) {
+            await whenResumed();
+            if (!isCurrentRun(generation)) break;
+            const reason = haltReason();
+            if (reason) {
+                halt(reason);
+                break;
+            }
+
+            const post = feedPosts(seen)[0];
+            if (!post) {
+                /*
+                 * Every loaded post was handled, scroll down so the feed loads more
+                 */
+                idleSince = idleSince || Date.now();
+                if (Date.now() - idleSince >= CONFIG.FEED_END_WAIT) {
+                    endReason = 'No more posts loaded, reached the end of the feed';
+                    break;
+                }
+                window.scrollBy({ top: Math.round(innerHeight * 0.9), behavior: 'smooth' });
+                emit('navigated', { via: 'scroll', from: currentLabel }, generation);
+                await sleep(CONFIG.scrollWait);
+                continue;
+            }
+            idleSince = 0;
+            seen.add(post);
+            post.scrollIntoView({ block: 'center', behavior: 'smooth' });
+            resetButtons();
+            await sleep(CONFIG.loopDelay);
+            if (!isCurrentRun(generation)) break;
+            if (!isVisible(post)) {
+                log('Post is not visible, skipping it');
+                continue;
+            }
+
+            /*
+             * The same post can show up twice (shared, or re-rendered by the feed)
+             */
+            const item = postItem(post);
+            if (item.id && visitedIds.has(item.id)) {
+                log('Post already looked at in this run', { id: item.id });
+                continue;
+            }
+            const arrival = arrivalStopReason(item);
+            if (arrival) {
+                endReason = arrival;
+                break;
+            }
+            startItem(item, post);
+            postCount++;
+            if (isHandled(item)) {
+                log('Post handled by an earlier run', { id: item.id });
+                finishItem(item, 'skipped', null);
+            } else {
+                await waitFor(() => {
+                    resetButtons();
+                    return isPostReacted(post) || locate('Like button', post);
+                }, CONFIG.scrollWait, 100);
+                if (!isCurrentRun(generation)) break;
+                const { outcome, reaction, rule } = await reactToPost(generation, post, item);
+                if (!isCurrentRun(generation)) break;
+                misses = outcome === 'not-found' ? misses + 1 : 0;
+                if (misses >= FEED_MISS_LIMIT && !CONFIG.DRY_RUN) {
+                    endReason = `${locatorMissReason(['Reaction container', 'Like button', 'Remove reaction button'], item)} (${misses} posts in a row)`;
+                    console.warn(`[FBLikes] ${endReason}`);
+                    break;
+                }
+                finishItem(item, outcome === 'not-found' ? 'unknown' : outcome, reaction, rule);
+                log('Post final', { id: item.id, outcome });
+            }
+
+            const haltAfterItem = haltReason();
+            if (haltAfterItem) {
+                halt(haltAfterItem);
+                break;
+            }
+            const limit = limitStopReason();
+            if (limit) {
+                endReason = limit;
+                break;
+            }
+            if (CONFIG.FEED_MAX_POSTS && postCount >= CONFIG.FEED_MAX_POSTS) {
+                endReason = `Looked at ${postCount} posts (FEED_MAX_POSTS)`;
+                break;
+            }
+            await sleep(CONFIG.loopDelay);
+        }
+        finishRun(generation, endReason);
+    };
+
+    /*
+     * ----- Control panel -----
+     * Floating overlay with start/pause/resume/stop, live counters and the timing settings
+     * Timing edits apply to the current run right away and are kept for the next Start
+     */
+    const PANEL_ID = 'fblikes-panel';
+    const PANEL_TIMINGS = ['POLL_INTERVAL', 'CYCLE_DELAY', 'longPressMs', 'pickerWait', 'nextWait', 'loopDelay', 'scrollWait'];
+    const PANEL_COUNTERS = [
+        ['reacted', 'Reacted'],
+        ['removed', 'Removed'],
+        ['skipped', 'Skipped'],
+        ['alreadyReacted', 'Already reacted'],
+        ['errors', 'Errors']
+    ];
+
+    /*
+     * panel: The overlay element, null until the first run
+     * lastOptions: Options of the last run, reused by the Start button
+     */
+    let panel = null;
+    let lastOptions = {};
+
+    /*
+     * Creates an element with properties and children
+     */
+    const createElement = (tag, properties = {}, children = []) => {
+        const element = document.createElement(tag);
+        const { style, dataset, ...rest } = properties;
+        Object.assign(element, rest);
+        Object.assign(element.style, style || {});
+        Object.assign(element.dataset, dataset || {});
+        element.append(...children);
+        return element;
+    };
+
+    /*
+     * Applies an edited timing value to the current run and the next one
+     * Reverts the field when the value is not a number of milliseconds
+     */
+    const updateTiming = (input) => {
+        const key = input.dataset.timing;
+        const value = Number(input.value);
+        if (input.value === '' || !Number.isFinite(value) || value < 0) {
+            input.value = CONFIG[key];
+            return;
+        }
+        CONFIG[key] = value;
+        lastOptions = { ...lastOptions, [key]: value };
+        log(`${key} set to ${value}ms`);
+    };
+
+    /*
+     * Handles the panel buttons
+     */
+    const onPanelAction = (action) => {
+        if (action === 'start') run(lastOptions);
+        else if (action === 'pause') pause();
+        else if (action === 'resume') resume();
+        else if (action === 'stop') stop();
+        else if (action === 'close') {
+            panel.remove();
+            panel = null;
+        }
+    };
+
+    /*
+     * Adds the panel to the page, unless it is already shown
+     */
+    const mountPanel = () => {
+        if (panel?.isConnected) return;
+        const button = (action, text) => createElement('button', {
+            type: 'button',
+            textContent: text,
+            dataset: { action },
+            style: { margin: '0 4px 4px 0', cursor: 'pointer' }
+        });
+        const row = (label, value) => createElement('div', {}, [`${label}: `, value]);
+
+        panel = createElement('div', {
+            id: PANEL_ID,
+            style: {
+                position: 'fixed',
+                right: '16px',
+                bottom: '16px',
+                zIndex: '2147483647',
+                width: '240px',
+                padding: '10px',
+                background: '#fff',
+                color: '#050505',
+                border: '1px solid #2196F3',
+                borderRadius: '8px',
+                boxShadow: '0 2px 12px rgba(0, 0, 0, 0.2)',
+                font: '12px/1.5 sans-serif'
+            }
+        }, [
+            createElement('div', { style: { display: 'flex', justifyContent: 'space-between', fontWeight: 'bold', color: '#2196F3' } }, [
+                createElement('span', { textContent: 'FBLikes' }),
+                createElement('span', { textContent: '✕', title: 'Hide panel', dataset: { action: 'close' }, style: { cursor: 'pointer' } })
+            ]),
+            row('Status', createElement('span', { dataset: { field: 'status' } })),
+            row('Mode', createElement('span', { dataset: { field: 'mode' } })),
+            row('Reaction', createElement('span', { dataset: { field: 'reaction' } })),
+            ...PANEL_COUNTERS.map(([field, label]) => row(label, createElement('span', { dataset: { field } }))),
+            row('Current', createElement('span', { dataset: { field: 'current' }, style: { wordBreak: 'break-all' } })),
+            row('Stop reason', createElement('span', { dataset: { field: 'stopReason' } })),
+            createElement('div', { style: { marginTop: '6px' } }, [
+                button('start', 'Start'),
+                button('pause', 'Pause'),
+                button('resume', 'Resume'),
+                button('stop', 'Stop')
+            ]),
+            ...PANEL_TIMINGS.map((key) => createElement('label', { style: { display: 'flex', justifyContent: 'space-between' } }, [
+                `${key} (ms)`,
+                createElement('input', { type: 'number', min: '0', step: '10', dataset: { timing: key }, style: { width: '70px' } })
+            ]))
+        ]);
+
+        panel.addEventListener('click', (event) => {
+            const action = event.target.closest('[data-action]')?.dataset.action;
+            if (action) onPanelAction(action);
+        });
+        panel.addEventListener('change', (event) => {
+            if (event.target.dataset.timing) updateTiming(event.target);
+        });
+        /*
+         * Keep typing in the timing fields away from Facebook's keyboard shortcuts
+         */
+        panel.addEventListener('keydown', (event) => event.stopPropagation());
+        document.body.appendChild(panel);
+    };
+
+    /*
+     * Shows a progress snapshot on the panel
+     */
+    const renderPanel = (snapshot) => {
+        if (!panel) return;
+        const active = snapshot.status === 'running' || snapshot.status === 'paused';
+        panel.querySelectorAll('[data-field]').forEach((field) => {
+            field.textContent = String(snapshot[field.dataset.field] ?? '');
+        });
+        panel.querySelectorAll('[data-timing]').forEach((input) => {
+            if (input !== document.activeElement) input.value = CONFIG[input.dataset.timing];
+        });
+        panel.querySelector('[data-action="start"]').disabled = active;
+        panel.querySelector('[data-action="pause"]').disabled = snapshot.status !== 'running';
+        panel.querySelector('[data-action="resume"]').disabled = snapshot.status !== 'paused';
+        panel.querySelector('[data-action="stop"]').disabled = !active;
+    };
+
+    /*
+     * Starts a run with the given options merged over DEFAULT_CONFIG
+     * Throws on an unknown MODE, REACTION or UNDO_REACTION; ignored while another run is in progress
+     */
+    const run = (options = {}) => {
+        if (status === 'running' || status === 'paused') {
+            console.warn('[FBLikes] A run is already in progress, stop it first');
+            return false;
+        }
+        const config = { ...DEFAULT_CONFIG, ...options };
+        const reaction = REACTIONS.find((name) => name.toLowerCase() === String(config.REACTION).toLowerCase());
+        if (!reaction) {
+            throw new Error(`[FBLikes] Unknown REACTION "${config.REACTION}", expected one of ${REACTIONS.join(', ')}`);
+        }
+        if (!['album', 'viewer', 'feed'].includes(config.MODE)) {
+            throw new Error(`[FBLikes] Unknown MODE "${config.MODE}", expected "album", "viewer" or "feed"`);
+        }
+        const undoReaction = config.UNDO_REACTION &&
+            REACTIONS.find((name) => name.toLowerCase() === String(config.UNDO_REACTION).toLowerCase());
+        if (config.UNDO_REACTION && !undoReaction) {
+            throw new Error(`[FBLikes] Unknown UNDO_REACTION "${config.UNDO_REACTION}", expected one of ${REACTIONS.join(', ')}`);
+        }
+        if (config.UNDO && config.MODE === 'feed') {
+            throw new Error('[FBLikes] UNDO works in the "album" and "viewer" modes');
+        }
+        CONFIG = { ...config, REACTION: reaction, UNDO_REACTION: undoReaction || null };
+        lastOptions = { ...options };
+
+        status = 'running';
+        runGeneration++;
+        const generation = runGeneration;
+        operationCount = 0;
+        reactedCount = 0;
+        removedCount = 0;
+        skippedCount = 0;
+        alreadyReactedCount = 0;
+        errorCount = 0;
+        nextCount = 0;
+        currentLabel = '';
+        stopReason = '';
+        startedAt = Date.now();
+        visitedIds = new Set();
+        alreadyReactedStreak = 0;
+        dryRunRows = [];
+        firstItem = null;
+        firstAuthor = null;
+        countWarned = false;
+        arrivedKey = null;
+        finishedItemId = null;
+        consecutiveFailures = 0;
+        labelIndex = null;
+        locatorStrategies = {};
+        if (CONFIG.PANEL_ENABLED) mountPanel();
+        reportProgress();
+
+        log(`🚀 Initializing FB ${CONFIG.REACTION} automation (${modeLabel()})`);
+        if (CONFIG.MODE === 'album') {
+            setTimeout(() => runCycle(generation), 0);
+        } else {
+            const loop = CONFIG.MODE === 'feed' ? runFeed : runViewer;
+            loop(generation).catch((error) => {
+                log(`${CONFIG.MODE} run error`, { error: error.message });
+                emit('error', { error: error.message, step: `${CONFIG.MODE} run` }, generation);
+                finishRun(generation, `Error: ${error.message}`);
+            });
+        }
+        return true;
+    };
+
+    /*
+     * State of the current or last run: the panel's progress snapshot plus the options it runs with
+     */
+    const runStatus = () => ({
+        ...progress(),
+        next: nextCount,
+        startedAt: startedAt ? new Date(startedAt).toISOString() : null,
+        options: { ...CONFIG }
+    });
+
+    /*
+     * Calls handler with the detail of every 'fblikes:<event>' event, see EVENTS
+     * Returns a function that removes the handler
+     */
+    const on = (event, handler) => {
+        if (!EVENTS.includes(event)) {
+            throw new Error(`[FBLikes] Unknown event "${event}", expected one of ${EVENTS.join(', ')}`);
+        }
+        const listener = (domEvent) => handler(domEvent.detail);
+        document.addEventListener(`fblikes:${event}`, listener);
+        return () => document.removeEventListener(`fblikes:${event}`, listener);
+    };
+
+    const ledger = {
+        entries: () => [...loadLedger()],
+        export: exportLedger,
+        download: downloadLedger,
+        clear: clearLedger
+    };
+
+    /*
+     * FBLikesCore: What the presets call
+     * FBLikes: Scripting API for other bookmarklets, userscripts and test pages, documented in the README
+     */
+    window.FBLikesCore = {
+        REACTIONS,
+        DEFAULT_CONFIG,
+        run,
+        pause,
+        resume,
+        stop,
+        ledger
+    };
+    window.FBLikes = {
+        REACTIONS,
+        DEFAULT_CONFIG,
+        EVENTS,
+        start: run,
+        pause,
+        resume,
+        stop,
+        status: runStatus,
+        on,
+        ledger
+    };
+})();
@@ -2,7 +2,8 @@ javascript:
 
 'use strict';
 
-/* MIT License
+/*
+ * MIT License
  * 
  * Copyright (c) 2021 gh0$t
  * 
@@ -22,17 +23,22 @@ javascript:
  * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
  * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
  * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
- * SOFTWARE. */
+ * SOFTWARE.
+ */
 
 (() => {
-    const FBLikes = () => {
-        setTimeout(() => {
-            document?.querySelector('[aria-label="Like"][class*="x1i10hfl x1qjc9v5"]')?.click();
-        }, 2000);
-        setTimeout(() => {
-            document?.querySelectorAll('[aria-label^="Next"]')?.forEach((v)=>v.click());
-            FBLikes();
-        }, 4000);
-    };
-    FBLikes();
+    /*
+     * Slow preset: Likes every photo of the album with a 4s pause between photos
+     * Gives Facebook time to settle and avoids getting temporarily banned from reacting
+     */
+    if (!window.FBLikesCore) {
+        console.error('[FBLikes] Core not loaded: run bot-FBLikes-core.js first, then this preset');
+        return;
+    }
+    window.FBLikesCore.run({
+        MODE: 'album',
+        REACTION: 'Like',
+        POLL_INTERVAL: 500,
+        CYCLE_DELAY: 4000
+    });
 })();
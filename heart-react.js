@@ -1 +1,44 @@
-javascript:function _0x5801(_0xd064bb,_0x57de2c){_0xd064bb=_0xd064bb-0x145;const _0x39569e=_0x3956();let _0x580152=_0x39569e[_0xd064bb];return _0x580152;}(function(_0x4a59b4,_0x4173b6){const _0x46d547=_0x5801,_0x24925e=_0x4a59b4();while(!![]){try{const _0x24da27=-parseInt(_0x46d547(0x180))/0x1*(parseInt(_0x46d547(0x1a3))/0x2)+parseInt(_0x46d547(0x189))/0x3+-parseInt(_0x46d547(0x19c))/0x4*(-parseInt(_0x46d547(0x16a))/0x5)+-parseInt(_0x46d547(0x160))/0x6*(-parseInt(_0x46d547(0x19d))/0x7)+parseInt(_0x46d547(0x178))/0x8+-parseInt(_0x46d547(0x168))/0x9+parseInt(_0x46d547(0x148))/0xa;if(_0x24da27===_0x4173b6)break;else _0x24925e['push'](_0x24925e['shift']());}catch(_0x5bb6bc){_0x24925e['push'](_0x24925e['shift']());}}}(_0x3956,0xc7df3));function _0x3956(){const _0x2e8b41=['height','find','Remove\x20Love\x20reaction','push','mouseover','querySelectorAll','nextWait','aria-label','none','hidden','dispatchEvent','Unlike','reel\x20clusters','retryPerItem','visibility','4oPzIoB','35UxSCUu','textContent','Unsupported\x20page\x20type','longPressMs','Change\x20Love\x20reaction','debug','3310UXZjiY','Next\x20card','group','Next\x20photo','9216710XIhPHK','Comments','photo\x20post-react','bottom','h1,h2,h3,h4,div,span','map','width','Change\x20Like\x20reaction','photo\x20state','photo\x20final','[fb-heart]','abs','right','labels','pointerup','join','log','reduce','stop\x20repeated','avgX','mousedown','score','Love','postReactWait','1274136NlksAe','reel\x20post-react','avgY','round','photo\x20clusters','add','pointerover','pointerenter','12755412YttFFp','href','3452720UISYGw','reel|','photo|','Remove\x20Like\x20reaction','left','includes','trim','filter','length','mouseup','getBoundingClientRect','unknown','mouseenter','pickerWait','3518464IwhRlo','reel\x20final','click','test','sort','like','has','pointerdown','575pSaERR','Like','loopDelay','now','love','React','div[role=\x22button\x22],button,[role=\x22button\x22],a,[aria-label]','Previous\x20card','top','221295QXiqmM','next','label','display'];_0x3956=function(){return _0x2e8b41;};return _0x3956();}_0x4916df:((async()=>{const _0xbf73f1=_0x5801,_0x2190c1={'retryPerItem':0x5,'longPressMs':0x258,'pickerWait':0x2bc,'postReactWait':0x12c,'nextWait':0x17c,'loopDelay':0x3c,'debug':!![]},_0x36746c=_0x5e0d5b=>new Promise(_0x4c7df8=>setTimeout(_0x4c7df8,_0x5e0d5b)),_0x5254f6=(_0x1ca3ac,_0x157822=document)=>[..._0x157822[_0xbf73f1(0x192)](_0x1ca3ac)],_0x5a195a=_0x45aa86=>(_0x45aa86?.['getAttribute']?.(_0xbf73f1(0x194))||_0x45aa86?.[_0xbf73f1(0x19e)]||'')[_0xbf73f1(0x170)](),_0x14635a=_0x569249=>{const _0x1869e7=_0xbf73f1;if(!_0x569249)return![];const _0x58e48=getComputedStyle(_0x569249),_0xbaeeed=_0x569249[_0x1869e7(0x174)]();return _0x58e48[_0x1869e7(0x18c)]!=='none'&&_0x58e48[_0x1869e7(0x19b)]!==_0x1869e7(0x196)&&_0xbaeeed['width']>0x0&&_0xbaeeed[_0x1869e7(0x18d)]>0x0&&_0xbaeeed[_0x1869e7(0x14b)]>0x0&&_0xbaeeed[_0x1869e7(0x154)]>0x0;},_0x4b1e90=_0x15e6de=>_0x15e6de['getBoundingClientRect'](),_0x4645ca=_0x552914=>{const _0x418060=_0xbf73f1,_0x4b2df1=_0x4b1e90(_0x552914);return(_0x4b2df1[_0x418060(0x188)]+_0x4b2df1[_0x418060(0x14b)])/0x2;},_0x472518=_0x3c2d80=>{const _0xe4ab8=_0xbf73f1,_0x5bd54b=_0x4b1e90(_0x3c2d80);return(_0x5bd54b[_0xe4ab8(0x16e)]+_0x5bd54b[_0xe4ab8(0x154)])/0x2;},_0x28cbaa=(_0x54612a,_0x2b77f1)=>{const _0xd1d7c4=_0xbf73f1;if(!_0x54612a)return;const _0x3a94c5=_0x4b1e90(_0x54612a),_0x9082db=_0x3a94c5[_0xd1d7c4(0x16e)]+_0x3a94c5[_0xd1d7c4(0x14e)]/0x2,_0x51544f=_0x3a94c5[_0xd1d7c4(0x188)]+_0x3a94c5[_0xd1d7c4(0x18d)]/0x2;_0x54612a[_0xd1d7c4(0x197)](new MouseEvent(_0x2b77f1,{'bubbles':!![],'cancelable':!![],'view':window,'clientX':_0x9082db,'clientY':_0x51544f,'buttons':0x1,'button':0x0}));},_0x5c5578=(..._0x22f81d)=>_0x2190c1[_0xbf73f1(0x1a2)]&&console[_0xbf73f1(0x158)](_0xbf73f1(0x152),..._0x22f81d);let _0x6219e=null,_0x1360a2=-0x1;const _0x2c0fdf=()=>{const _0x6f0bfe=_0xbf73f1,_0x722a6a=performance[_0x6f0bfe(0x183)]()|0x0;if(_0x722a6a===_0x1360a2&&_0x6219e)return _0x6219e;return _0x1360a2=_0x722a6a,_0x6219e=_0x5254f6(_0x6f0bfe(0x186))[_0x6f0bfe(0x171)](_0x14635a),_0x6219e;},_0x1b87ce=()=>{_0x6219e=null,_0x1360a2=-0x1;};function _0x25cde8(){const _0x599d9d=_0xbf73f1;return/\/reel\//[_0x599d9d(0x17b)](location['pathname'])||!!_0x2c0fdf()[_0x599d9d(0x18e)](_0x526ec6=>_0x5a195a(_0x526ec6)===_0x599d9d(0x187)||_0x5a195a(_0x526ec6)===_0x599d9d(0x145));}function _0x4dbbe7(){const _0xce6fb0=_0xbf73f1;return/\/photo/[_0xce6fb0(0x17b)](location['pathname'])||!!_0x2c0fdf()[_0xce6fb0(0x18e)](_0x3d6cea=>_0x5a195a(_0x3d6cea)==='Previous\x20photo'||_0x5a195a(_0x3d6cea)===_0xce6fb0(0x147));}async function _0x24b130(_0x1c5cec,_0x13b45f=0x2bc,_0x1f298e=0x28){const _0xbb20a4=_0xbf73f1,_0x5be620=Date[_0xbb20a4(0x183)]();while(Date[_0xbb20a4(0x183)]()-_0x5be620<_0x13b45f){const _0x3fe1e0=_0x1c5cec();if(_0x3fe1e0)return _0x3fe1e0;await _0x36746c(_0x1f298e);}return null;}async function _0xa4476b(_0x90e0b){const _0x18993e=_0xbf73f1;_0x28cbaa(_0x90e0b,_0x18993e(0x166)),_0x28cbaa(_0x90e0b,_0x18993e(0x167)),_0x28cbaa(_0x90e0b,_0x18993e(0x191)),_0x28cbaa(_0x90e0b,_0x18993e(0x176)),await _0x36746c(0x32),_0x28cbaa(_0x90e0b,_0x18993e(0x17f)),_0x28cbaa(_0x90e0b,_0x18993e(0x15c)),await _0x36746c(_0x2190c1[_0x18993e(0x1a0)]),_0x28cbaa(_0x90e0b,_0x18993e(0x156)),_0x28cbaa(_0x90e0b,'mouseup'),_0x1b87ce();}function _0x10059a(_0x17c74d){const _0x2d8c85=_0xbf73f1;return location[_0x2d8c85(0x169)]+'|'+(_0x17c74d?.[_0x2d8c85(0x155)]||[])[_0x2d8c85(0x157)](',')+'|'+Math['round'](_0x17c74d?.[_0x2d8c85(0x162)]||0x0);}const _0x2ad4c4=/Change Love reaction|Remove Love reaction|Change Like reaction|Remove Like reaction|^React$|^Like$|^Unlike$|^Love$|^Share$|^Menu$/,_0x1c9b11=[_0xbf73f1(0x14f),_0xbf73f1(0x16d),_0xbf73f1(0x185),_0xbf73f1(0x181),_0xbf73f1(0x198),'Love',_0xbf73f1(0x1a1),_0xbf73f1(0x18f)];function _0x4f4bc8(){const _0x52496c=_0xbf73f1,_0x3f1355=_0x2c0fdf(),_0x3de760=_0x3f1355[_0x52496c(0x18e)](_0xab1600=>_0x5a195a(_0xab1600)==='Previous\x20card'),_0x3bb993=_0x3f1355[_0x52496c(0x18e)](_0x43fb1e=>_0x5a195a(_0x43fb1e)===_0x52496c(0x145))||_0x3f1355['find'](_0x3532d0=>/^Next/[_0x52496c(0x17b)](_0x5a195a(_0x3532d0)));return{'prev':_0x3de760,'next':_0x3bb993};}function _0x305ea9(){const _0x59ee86=_0xbf73f1;return _0x2c0fdf()[_0x59ee86(0x171)](_0x59824f=>_0x2ad4c4[_0x59ee86(0x17b)](_0x5a195a(_0x59824f)))[_0x59ee86(0x14d)](_0x407d4f=>{const _0x5e8232=_0x59ee86,_0x3d2318=_0x4b1e90(_0x407d4f),_0x388be6=(_0x3d2318[_0x5e8232(0x16e)]+_0x3d2318[_0x5e8232(0x154)])/0x2,_0x575f20=(_0x3d2318[_0x5e8232(0x188)]+_0x3d2318[_0x5e8232(0x14b)])/0x2;return{'el':_0x407d4f,'label':_0x5a195a(_0x407d4f),'x':Math[_0x5e8232(0x163)](_0x3d2318[_0x5e8232(0x16e)]),'y':Math[_0x5e8232(0x163)](_0x3d2318[_0x5e8232(0x188)]),'cx':_0x388be6,'cy':_0x575f20};})[_0x59ee86(0x17c)]((_0x1df6ca,_0x792402)=>_0x1df6ca['y']-_0x792402['y']);}function _0x372fb0(_0x982221,_0x2d2c9d=0x78){const _0x50bd97=_0xbf73f1,_0x59b06d=[];for(const _0x2b136d of _0x982221){let _0x4d3d2e=![];for(const _0x177e00 of _0x59b06d){const _0x4f8656=_0x177e00[_0x50bd97(0x159)]((_0x3dfeae,_0x3dc076)=>_0x3dfeae+_0x3dc076['cy'],0x0)/_0x177e00['length'];if(Math[_0x50bd97(0x153)](_0x2b136d['cy']-_0x4f8656)<=_0x2d2c9d){_0x177e00['push'](_0x2b136d),_0x4d3d2e=!![];break;}}if(!_0x4d3d2e)_0x59b06d[_0x50bd97(0x190)]([_0x2b136d]);}return _0x59b06d;}function _0x2ea57f(){const _0x1603b0=_0xbf73f1,{prev:_0x1547a6,next:_0x306921}=_0x4f4bc8(),_0xaef7fd=_0x306921?_0x4645ca(_0x306921):_0x1547a6?_0x4645ca(_0x1547a6):innerHeight/0x2,_0x546787=_0x306921?_0x472518(_0x306921):_0x1547a6?_0x472518(_0x1547a6):innerWidth*0.75,_0x2c2204=_0x372fb0(_0x305ea9());if(!_0x2c2204[_0x1603b0(0x172)])return null;const _0x54b50f=_0x2c2204[_0x1603b0(0x14d)](_0x3ecada=>{const _0x5e497b=_0x1603b0;let _0x155bbf=0x0,_0x28704f=0x0;for(const _0x2d6a28 of _0x3ecada){_0x155bbf+=_0x2d6a28['cy'],_0x28704f+=_0x2d6a28['cx'];}const _0x5c3902=_0x155bbf/_0x3ecada[_0x5e497b(0x172)],_0x20b2be=_0x28704f/_0x3ecada[_0x5e497b(0x172)],_0x1df913=_0x3ecada['map'](_0x160926=>_0x160926[_0x5e497b(0x18b)]);let _0x5407c5=Math[_0x5e497b(0x153)](_0x5c3902-_0xaef7fd)+Math[_0x5e497b(0x153)](_0x20b2be-_0x546787)*0.35;if(_0x1df913['includes'](_0x5e497b(0x14f)))_0x5407c5-=0xdc;if(_0x1df913[_0x5e497b(0x16f)](_0x5e497b(0x185))||_0x1df913[_0x5e497b(0x16f)]('Like'))_0x5407c5-=0x78;if(_0x1df913['includes']('Change\x20Love\x20reaction'))_0x5407c5+=0x50;return{'group':_0x3ecada,'labels':_0x1df913,'avgY':_0x5c3902,'avgX':_0x20b2be,'score':_0x5407c5};})[_0x1603b0(0x17c)]((_0x2c36d2,_0x2d5e70)=>_0x2c36d2[_0x1603b0(0x15d)]-_0x2d5e70[_0x1603b0(0x15d)]);return _0x5c5578(_0x1603b0(0x199),_0x54b50f[_0x1603b0(0x14d)](_0x217c53=>({'labels':_0x217c53['labels'],'y':Math[_0x1603b0(0x163)](_0x217c53[_0x1603b0(0x162)]),'x':Math[_0x1603b0(0x163)](_0x217c53['avgX']),'score':Math[_0x1603b0(0x163)](_0x217c53[_0x1603b0(0x15d)])}))),_0x54b50f[0x0]||null;}function _0x5386e5(_0x38e035){const _0x20624e=_0xbf73f1;if(!_0x38e035)return _0x20624e(0x195);const _0x5ecb6d=_0x38e035['labels'];if(_0x5ecb6d[_0x20624e(0x16f)](_0x20624e(0x14f))||_0x5ecb6d[_0x20624e(0x16f)](_0x20624e(0x16d)))return _0x20624e(0x17d);if(_0x5ecb6d['includes'](_0x20624e(0x1a1))||_0x5ecb6d[_0x20624e(0x16f)](_0x20624e(0x18f)))return _0x20624e(0x184);if(_0x5ecb6d['includes']('React')||_0x5ecb6d[_0x20624e(0x16f)]('Like')||_0x5ecb6d[_0x20624e(0x16f)]('Unlike')||_0x5ecb6d['includes']('Love'))return _0x20624e(0x195);return _0x20624e(0x175);}function _0x492f11(_0x3ae582){const _0x19b356=_0xbf73f1;if(!_0x3ae582)return null;for(const _0x15f06a of _0x1c9b11){const _0x4c65c8=_0x3ae582[_0x19b356(0x146)][_0x19b356(0x18e)](_0x53a47d=>_0x53a47d[_0x19b356(0x18b)]===_0x15f06a);if(_0x4c65c8)return _0x4c65c8['el'];}return _0x3ae582[_0x19b356(0x146)][0x0]?.['el']||null;}function _0x488875(_0x3c35c5){const _0x3d45f3=_0xbf73f1,_0x501c92=_0x3c35c5?.['avgY']??innerHeight/0x2,_0xe573b1=_0x3c35c5?.['avgX']??innerWidth*0.75;return _0x2c0fdf()[_0x3d45f3(0x171)](_0x3d38e4=>_0x5a195a(_0x3d38e4)===_0x3d45f3(0x15e))[_0x3d45f3(0x14d)](_0x503478=>({'el':_0x503478,'d':Math[_0x3d45f3(0x153)](_0x4645ca(_0x503478)-_0x501c92)+Math['abs'](_0x472518(_0x503478)-_0xe573b1)*0.35}))[_0x3d45f3(0x17c)]((_0x41d4f1,_0x3f7490)=>_0x41d4f1['d']-_0x3f7490['d'])[0x0]?.['el']||null;}async function _0x312192(){const _0x549985=_0xbf73f1;let _0x39ec8f=await _0x24b130(()=>{return _0x1b87ce(),_0x2ea57f();},0x5dc,0x3c);if(!_0x39ec8f)return _0x5c5578('reel\x20cluster\x20never\x20rendered'),![];if(_0x5386e5(_0x39ec8f)===_0x549985(0x184))return!![];for(let _0x188741=0x1;_0x188741<=_0x2190c1[_0x549985(0x19a)];_0x188741++){_0x1b87ce(),_0x39ec8f=await _0x24b130(()=>{return _0x1b87ce(),_0x2ea57f();},0x320,0x28);if(!_0x39ec8f)return![];const _0xf15b0a=_0x5386e5(_0x39ec8f);_0x5c5578('reel\x20state',_0xf15b0a,_0x39ec8f['labels']);if(_0xf15b0a==='love')return!![];const _0x2f227a=_0x492f11(_0x39ec8f);if(!_0x2f227a)return![];await _0xa4476b(_0x2f227a);let _0x117b19=await _0x24b130(()=>{return _0x1b87ce(),_0x488875(_0x39ec8f);},_0x2190c1['pickerWait'],0x28);!_0x117b19&&(_0x2f227a[_0x549985(0x17a)](),await _0x36746c(0xb4),_0x117b19=await _0x24b130(()=>{return _0x1b87ce(),_0x488875(_0x39ec8f);},_0x2190c1[_0x549985(0x177)],0x28));if(_0x117b19){_0x28cbaa(_0x117b19,'pointerover'),_0x28cbaa(_0x117b19,'mouseover'),_0x28cbaa(_0x117b19,_0x549985(0x176)),await _0x36746c(0x46),_0x28cbaa(_0x117b19,_0x549985(0x17f)),_0x28cbaa(_0x117b19,_0x549985(0x15c)),_0x28cbaa(_0x117b19,_0x549985(0x156)),_0x28cbaa(_0x117b19,'mouseup'),_0x28cbaa(_0x117b19,'click'),await _0x36746c(_0x2190c1[_0x549985(0x15f)]),_0x1b87ce(),_0x39ec8f=_0x2ea57f();const _0x1971cb=_0x5386e5(_0x39ec8f);_0x5c5578(_0x549985(0x161),_0x1971cb,_0x39ec8f?.[_0x549985(0x155)]);if(_0x1971cb===_0x549985(0x184))return!![];}await _0x36746c(0xc8+_0x188741*0x50);}return![];}async function _0x843386(){const _0x1e0ccd=_0xbf73f1,_0x47da5d=await _0x24b130(()=>{const _0x219963=_0x5801;return _0x1b87ce(),_0x4f4bc8()[_0x219963(0x18a)];},0x4b0,0x32);if(_0x47da5d)return _0x47da5d[_0x1e0ccd(0x17a)](),_0x1b87ce(),await _0x36746c(_0x2190c1[_0x1e0ccd(0x193)]),!![];return window['scrollBy']({'top':Math[_0x1e0ccd(0x163)](innerHeight*0.9),'behavior':'smooth'}),await _0x36746c(0x320),!![];}let _0x274ad2=null;function _0x510ae9(){const _0x5efc00=_0xbf73f1;if(_0x274ad2!==null)return _0x274ad2;const _0x525f12=_0x5254f6(_0x5efc00(0x14c))[_0x5efc00(0x18e)](_0x2c9d67=>(_0x2c9d67['textContent']||'')[_0x5efc00(0x170)]()===_0x5efc00(0x149));return _0x274ad2=_0x525f12?_0x4b1e90(_0x525f12)[_0x5efc00(0x188)]:Infinity,_0x274ad2;}function _0x460970(){_0x274ad2=null;}function _0x569d26(){const _0x56d168=_0xbf73f1,_0x305c03=_0x2c0fdf(),_0x3f0cd6=_0x305c03[_0x56d168(0x18e)](_0xe0452c=>_0x5a195a(_0xe0452c)==='Previous\x20photo'),_0xd2375d=_0x305c03['find'](_0x348a57=>_0x5a195a(_0x348a57)==='Next\x20photo')||_0x305c03[_0x56d168(0x18e)](_0xc0857a=>/^Next photo/['test'](_0x5a195a(_0xc0857a)));return{'prev':_0x3f0cd6,'next':_0xd2375d};}function _0x1c78a5(){const _0x4729e7=_0xbf73f1,_0x21379a=_0x510ae9();return _0x2c0fdf()[_0x4729e7(0x171)](_0x236df6=>{const _0x615a9d=_0x4729e7,_0x380fb8=_0x5a195a(_0x236df6),_0x208f3d=_0x4b1e90(_0x236df6);return _0x208f3d[_0x615a9d(0x188)]<_0x21379a&&_0x2ad4c4['test'](_0x380fb8);})[_0x4729e7(0x14d)](_0xe828c8=>{const _0x704d7f=_0x4729e7,_0x3671ce=_0x4b1e90(_0xe828c8),_0x377f11=(_0x3671ce['left']+_0x3671ce[_0x704d7f(0x154)])/0x2,_0x53d2e2=(_0x3671ce['top']+_0x3671ce['bottom'])/0x2;return{'el':_0xe828c8,'label':_0x5a195a(_0xe828c8),'x':Math[_0x704d7f(0x163)](_0x3671ce[_0x704d7f(0x16e)]),'y':Math[_0x704d7f(0x163)](_0x3671ce[_0x704d7f(0x188)]),'cx':_0x377f11,'cy':_0x53d2e2};})['sort']((_0x13aedc,_0x3e3f49)=>_0x13aedc['y']-_0x3e3f49['y']);}function _0x133aa9(){const _0x489cd5=_0xbf73f1,{prev:_0x56fab8,next:_0x44c8d0}=_0x569d26(),_0x5873d6=_0x44c8d0?_0x4645ca(_0x44c8d0):_0x56fab8?_0x4645ca(_0x56fab8):innerHeight/0x2,_0x17dd20=_0x44c8d0?_0x472518(_0x44c8d0):_0x56fab8?_0x472518(_0x56fab8):innerWidth*0.7,_0x2d229f=_0x372fb0(_0x1c78a5(),0x8c);if(!_0x2d229f['length'])return null;const _0x181b14=_0x2d229f[_0x489cd5(0x14d)](_0x3feba3=>{const _0x10952e=_0x489cd5;let _0x4e48d9=0x0,_0xa60b3f=0x0;for(const _0x357529 of _0x3feba3){_0x4e48d9+=_0x357529['cy'],_0xa60b3f+=_0x357529['cx'];}const _0x571028=_0x4e48d9/_0x3feba3['length'],_0x4df8d8=_0xa60b3f/_0x3feba3[_0x10952e(0x172)],_0x299316=_0x3feba3['map'](_0x16dc41=>_0x16dc41['label']);let _0x8488bf=Math[_0x10952e(0x153)](_0x571028-_0x5873d6)+Math[_0x10952e(0x153)](_0x4df8d8-_0x17dd20)*0.25;if(_0x299316['includes'](_0x10952e(0x14f)))_0x8488bf-=0xa0;if(_0x299316[_0x10952e(0x16f)](_0x10952e(0x185))||_0x299316[_0x10952e(0x16f)]('Like'))_0x8488bf-=0x50;if(_0x299316['includes'](_0x10952e(0x1a1)))_0x8488bf+=0x3c;return{'group':_0x3feba3,'labels':_0x299316,'avgY':_0x571028,'avgX':_0x4df8d8,'score':_0x8488bf};})[_0x489cd5(0x17c)]((_0x4ef881,_0x277fc6)=>_0x4ef881[_0x489cd5(0x15d)]-_0x277fc6[_0x489cd5(0x15d)]);return _0x5c5578(_0x489cd5(0x164),_0x181b14[_0x489cd5(0x14d)](_0xb9a7b9=>({'labels':_0xb9a7b9['labels'],'y':Math['round'](_0xb9a7b9['avgY']),'x':Math[_0x489cd5(0x163)](_0xb9a7b9['avgX']),'score':Math[_0x489cd5(0x163)](_0xb9a7b9[_0x489cd5(0x15d)])}))),_0x181b14[0x0]||null;}function _0x33b392(_0x59f7f7){const _0x1864d3=_0xbf73f1;if(!_0x59f7f7)return'none';const _0x4afaca=_0x59f7f7['labels'];if(_0x4afaca[_0x1864d3(0x16f)](_0x1864d3(0x14f))||_0x4afaca[_0x1864d3(0x16f)]('Remove\x20Like\x20reaction'))return _0x1864d3(0x17d);if(_0x4afaca['includes'](_0x1864d3(0x1a1))||_0x4afaca['includes']('Remove\x20Love\x20reaction'))return'love';if(_0x4afaca[_0x1864d3(0x16f)](_0x1864d3(0x185))||_0x4afaca['includes'](_0x1864d3(0x181))||_0x4afaca[_0x1864d3(0x16f)]('Unlike')||_0x4afaca['includes'](_0x1864d3(0x15e)))return'none';return'unknown';}function _0xd54762(_0x367ba8){const _0x3cbbde=_0xbf73f1;if(!_0x367ba8)return null;for(const _0x426fcd of _0x1c9b11){const _0x4e1f49=_0x367ba8[_0x3cbbde(0x146)][_0x3cbbde(0x18e)](_0x890cc3=>_0x890cc3[_0x3cbbde(0x18b)]===_0x426fcd);if(_0x4e1f49)return _0x4e1f49['el'];}return _0x367ba8[_0x3cbbde(0x146)][0x0]?.['el']||null;}function _0x3cbe79(_0x593958){const _0x2507b2=_0xbf73f1,_0x2b4357=_0x593958?.[_0x2507b2(0x162)]??innerHeight/0x2,_0x3db901=_0x593958?.[_0x2507b2(0x15b)]??innerWidth*0.7,_0x449a48=_0x510ae9();return _0x2c0fdf()[_0x2507b2(0x171)](_0x306459=>_0x5a195a(_0x306459)===_0x2507b2(0x15e)&&_0x4b1e90(_0x306459)[_0x2507b2(0x188)]<_0x449a48)[_0x2507b2(0x14d)](_0x1a70e2=>({'el':_0x1a70e2,'d':Math[_0x2507b2(0x153)](_0x4645ca(_0x1a70e2)-_0x2b4357)+Math['abs'](_0x472518(_0x1a70e2)-_0x3db901)*0.25}))[_0x2507b2(0x17c)]((_0x2e895b,_0x3c55ac)=>_0x2e895b['d']-_0x3c55ac['d'])[0x0]?.['el']||null;}async function _0x72add4(){const _0x59391a=_0xbf73f1;let _0x332824=await _0x24b130(()=>{return _0x1b87ce(),_0x460970(),_0x133aa9();},0x5dc,0x3c);if(!_0x332824)return _0x5c5578('photo\x20cluster\x20never\x20rendered'),![];if(_0x33b392(_0x332824)==='love')return!![];for(let _0x9d50e6=0x1;_0x9d50e6<=_0x2190c1[_0x59391a(0x19a)];_0x9d50e6++){_0x1b87ce(),_0x332824=await _0x24b130(()=>{return _0x1b87ce(),_0x133aa9();},0x320,0x28);if(!_0x332824)return![];const _0x122c7f=_0x33b392(_0x332824);_0x5c5578(_0x59391a(0x150),_0x122c7f,_0x332824[_0x59391a(0x155)]);if(_0x122c7f===_0x59391a(0x184))return!![];const _0x4e60e1=_0xd54762(_0x332824);if(!_0x4e60e1)return![];await _0xa4476b(_0x4e60e1);let _0x5ddce6=await _0x24b130(()=>{return _0x1b87ce(),_0x3cbe79(_0x332824);},_0x2190c1[_0x59391a(0x177)],0x28);!_0x5ddce6&&(_0x4e60e1[_0x59391a(0x17a)](),await _0x36746c(0xb4),_0x5ddce6=await _0x24b130(()=>{return _0x1b87ce(),_0x3cbe79(_0x332824);},_0x2190c1['pickerWait'],0x28));if(_0x5ddce6){_0x28cbaa(_0x5ddce6,_0x59391a(0x166)),_0x28cbaa(_0x5ddce6,_0x59391a(0x191)),_0x28cbaa(_0x5ddce6,'mouseenter'),await _0x36746c(0x46),_0x28cbaa(_0x5ddce6,_0x59391a(0x17f)),_0x28cbaa(_0x5ddce6,_0x59391a(0x15c)),_0x28cbaa(_0x5ddce6,'pointerup'),_0x28cbaa(_0x5ddce6,_0x59391a(0x173)),_0x28cbaa(_0x5ddce6,'click'),await _0x36746c(_0x2190c1[_0x59391a(0x15f)]),_0x1b87ce(),_0x332824=_0x133aa9();const _0x52f56d=_0x33b392(_0x332824);_0x5c5578(_0x59391a(0x14a),_0x52f56d,_0x332824?.[_0x59391a(0x155)]);if(_0x52f56d===_0x59391a(0x184))return!![];}await _0x36746c(0xc8+_0x9d50e6*0x50);}return![];}async function _0x57fa9b(){const _0x20b6bd=_0xbf73f1,_0x3f6e45=await _0x24b130(()=>{return _0x1b87ce(),_0x569d26()['next'];},0x4b0,0x32);if(_0x3f6e45)return _0x3f6e45[_0x20b6bd(0x17a)](),_0x1b87ce(),_0x460970(),await _0x36746c(_0x2190c1[_0x20b6bd(0x193)]),!![];return![];}const _0x59bc09=new Set();let _0x4a7b21=0x0;while(!![]){_0x1b87ce();let _0x4950b2='',_0x179529=![];if(_0x25cde8()){const _0x51ba19=await _0x24b130(()=>{return _0x1b87ce(),_0x2ea57f();},0x5dc,0x3c);_0x4950b2=_0xbf73f1(0x16b)+_0x10059a(_0x51ba19),!_0x59bc09[_0xbf73f1(0x17e)](_0x4950b2)?(_0x59bc09[_0xbf73f1(0x165)](_0x4950b2),_0x179529=await _0x312192(),_0x5c5578(_0xbf73f1(0x179),_0x179529),await _0x843386(),_0x4a7b21=0x0):(_0x4a7b21++,await _0x843386());}else{if(_0x4dbbe7()){_0x460970();const _0x5bf23=await _0x24b130(()=>{return _0x1b87ce(),_0x133aa9();},0x5dc,0x3c);_0x4950b2=_0xbf73f1(0x16c)+_0x10059a(_0x5bf23),!_0x59bc09[_0xbf73f1(0x17e)](_0x4950b2)?(_0x59bc09[_0xbf73f1(0x165)](_0x4950b2),_0x179529=await _0x72add4(),_0x5c5578(_0xbf73f1(0x151),_0x179529),await _0x57fa9b(),_0x4a7b21=0x0):(_0x4a7b21++,await _0x57fa9b());}else{_0x5c5578(_0xbf73f1(0x19f));break;}}if(_0x4a7b21>0x8){_0x5c5578(_0xbf73f1(0x15a));break;}await _0x36746c(_0x2190c1[_0xbf73f1(0x182)]);}})());
+javascript:
+
+'use strict';
+
+/*
+ * MIT License
+ * 
+ * Copyright (c) 2021 gh0$t
+ * 
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ * 
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ * 
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+(() => {
+    /*
+     * Heart preset: Loves every photo or reel, replacing an existing Like
+     * Works in the photo viewer and in the reels player
+     */
+    if (!window.FBLikesCore) {
+        console.error('[FBLikes] Core not loaded: run bot-FBLikes-core.js first, then this preset');
+        return;
+    }
+    window.FBLikesCore.run({
+        MODE: 'viewer',
+        REACTION: 'Love',
+        CHANGE_EXISTING: true,
+        LOG_ENABLED: true
+    });
+})();